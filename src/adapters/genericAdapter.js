@@ -0,0 +1,102 @@
+/**
+ * Generic Product Adapter
+ * Base class for product adapters and the fallback for products without one.
+ * An adapter decides how a product's tenants are named, classified, linked and
+ * grouped; this one keeps whatever the portal supplies and adds nothing.
+ */
+class GenericProductAdapter {
+  constructor() {
+    // Product codes (lowercase) this adapter handles; the fallback handles none
+    this.productCodes = [];
+
+    // Product group name and icon; null keeps the portal's own
+    this.displayName = null;
+    this.iconSrc = null;
+  }
+
+  /**
+   * Name of the product group a tenant is filed under
+   * @param {string} portalName - Name the portal gives the product
+   * @returns {string} Product group name
+   */
+  getProductName(portalName) {
+    return this.displayName || portalName;
+  }
+
+  /**
+   * Icon of the product group
+   * @param {string} portalIconSrc - Icon URL the portal gives the product
+   * @returns {string} Icon URL
+   */
+  getIconSrc(portalIconSrc) {
+    return this.iconSrc || portalIconSrc;
+  }
+
+  /**
+   * Classify a tenant's environment
+   * @param {Object} tenant - Tenant with labels, annotations, displayName and name
+   * @param {Array} rules - User rules (raw or compiled)
+   * @returns {Object} { environment, source } (see EnvironmentClassifier.classify)
+   */
+  classifyEnvironment(tenant, rules = []) {
+    return EnvironmentClassifier.classify(tenant, rules);
+  }
+
+  /**
+   * Deep links to add to a tenant's quick actions at capture time
+   * @param {Object} tenant - Captured tenant (before validation)
+   * @returns {Array} Actions { name, displayName, url, category, description }
+   */
+  getExtraActions(tenant) {
+    return [];
+  }
+
+  /**
+   * Apply the adapter to a captured tenant: append its deep links (skipping names the portal
+   * already provides) and classify its environment. Both tenant parsers go through this.
+   * @param {Object} tenantData - Captured tenant (before validation), updated in place
+   * @param {Array} rules - User environment rules (raw or compiled)
+   * @returns {Object} The tenant
+   */
+  prepareTenant(tenantData, rules = []) {
+    const actions = tenantData.actions || [];
+    const names = new Set(actions.map(action => action.name));
+    this.getExtraActions(tenantData).forEach(action => {
+      if (action.url && !names.has(action.name)) {
+        actions.push({ category: 'Quick Actions', icon: null, ...action });
+        names.add(action.name);
+      }
+    });
+    if (actions.length > 0) {
+      tenantData.actions = actions;
+    }
+
+    const classification = this.classifyEnvironment(tenantData, rules);
+    if (classification.environment) {
+      tenantData.environment = classification.environment;
+      tenantData.environmentSource = classification.source;
+    }
+
+    return tenantData;
+  }
+
+  /**
+   * Split a product group's tenants into sub-groups (e.g. XM Cloud projects)
+   * @param {Object} group - Stored product group (carries the sub-group custom names and pins)
+   * @param {Array} tenants - Tenants to show, in display order
+   * @returns {Object|null} { projects, others } (see XmCloudAdapter.groupTenants), or null to list the tenants flat
+   */
+  groupTenants(group, tenants) {
+    return null;
+  }
+}
+
+// Export for module use
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { GenericProductAdapter };
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+  window.GenericProductAdapter = GenericProductAdapter;
+}
@@ -0,0 +1,81 @@
+/**
+ * Product Adapter Registry
+ * Looks up the adapter for a tenant's productCode, falling back to the generic adapter.
+ * Product adapters register themselves when their file loads, so supporting a new
+ * Sitecore product means adding one adapter file (loaded after this one).
+ */
+class ProductAdapterRegistry {
+  constructor() {
+    // Check if Logger is available (not loaded in every context)
+    if (typeof Logger !== 'undefined') {
+      this.logger = Logger.createContextLogger('ProductAdapterRegistry');
+    } else {
+      // Fallback logger
+      this.logger = {
+        debug: (...args) => console.log('[ProductAdapterRegistry]', ...args),
+        info: (...args) => console.log('[ProductAdapterRegistry]', ...args),
+        warn: (...args) => console.warn('[ProductAdapterRegistry]', ...args),
+        error: (...args) => console.error('[ProductAdapterRegistry]', ...args)
+      };
+    }
+
+    this.adapters = new Map();
+    this.fallback = new GenericProductAdapter();
+  }
+
+  /**
+   * Register an adapter for each of its product codes
+   * @param {GenericProductAdapter} adapter - Product adapter
+   */
+  register(adapter) {
+    adapter.productCodes.forEach(code => {
+      if (this.adapters.has(code)) {
+        this.logger.warn('Replacing product adapter', { productCode: code });
+      }
+      this.adapters.set(code, adapter);
+    });
+  }
+
+  /**
+   * Get the adapter for a product code
+   * @param {string} productCode - Product code (any case)
+   * @returns {GenericProductAdapter} Registered adapter, or the generic fallback
+   */
+  getAdapter(productCode) {
+    return this.adapters.get(String(productCode || '').toLowerCase()) || this.fallback;
+  }
+
+  /**
+   * Get the adapter for a tenant (or GetTenants node)
+   * @param {Object} tenant - Tenant with productCode, or a ProductCode label
+   * @returns {GenericProductAdapter} Product adapter
+   */
+  getForTenant(tenant) {
+    const labels = tenant.labels && !Array.isArray(tenant.labels) ? tenant.labels : {};
+    return this.getAdapter(tenant.productCode || labels.ProductCode);
+  }
+
+  /**
+   * Get the adapter for a product group, from the first of its tenants that names a product
+   * @param {Object} group - Product group
+   * @returns {GenericProductAdapter} Product adapter
+   */
+  getForGroup(group) {
+    const tenant = (group.tenants || []).find(t => t.productCode || (t.labels && t.labels.ProductCode));
+    return tenant ? this.getForTenant(tenant) : this.fallback;
+  }
+}
+
+// Create global instance
+const productAdapterRegistry = new ProductAdapterRegistry();
+
+// Export for module use
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { ProductAdapterRegistry, productAdapterRegistry };
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+  window.ProductAdapterRegistry = ProductAdapterRegistry;
+  window.productAdapterRegistry = productAdapterRegistry;
+}
@@ -0,0 +1,212 @@
+/**
+ * XM Cloud Product Adapter
+ * XM Cloud tenants are the environments of a project ("Sample Project / PROD"), but the portal
+ * lists them flat under one "XM Cloud" product. This works out each tenant's project and
+ * environment, from its labels and annotations where they exist and from its display name
+ * where they don't, so the product group can be shown as Project → Environment.
+ */
+class XmCloudAdapter extends GenericProductAdapter {
+  /**
+   * Pages of a tenant's CM instance added to its quick actions (the portal already links the Content Editor)
+   */
+  static CM_LINKS = [
+    { name: 'Launchpad', path: '/sitecore/client/Applications/Launchpad', description: 'Open the Sitecore Launchpad of this environment' },
+    { name: 'Desktop', path: '/sitecore/shell/default.aspx', description: 'Open the Sitecore Desktop of this environment' }
+  ];
+
+  constructor() {
+    super();
+    this.productCodes = ['xmcloud'];
+    this.displayName = 'XM Cloud';
+  }
+
+  /**
+   * Read a metadata value by name from the tenant's labels, then its annotations.
+   * Keys match case-insensitively, with or without a prefix ("ProjectName", "XMCloud.ProjectName").
+   * @param {Object} tenant - Stored tenant
+   * @param {string} name - Lowercase key name
+   * @returns {string|null} Decoded value
+   */
+  getMetadata(tenant, name) {
+    for (const map of [tenant.labels, tenant.annotations]) {
+      const key = Object.keys(map || {}).find(k => {
+        const lower = k.toLowerCase();
+        return lower === name || lower.endsWith(`.${name}`);
+      });
+      if (key && map[key]) {
+        return SecurityUtils.decodeHtmlEntities(map[key]);
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Split a display name such as "Sample Project / PROD" into project and environment
+   * @param {string} displayName - Decoded display name
+   * @returns {Object|null} { project, environment }, or null when the name has no separator
+   */
+  parseDisplayName(displayName) {
+    const match = /^(.+?)\s*\/\s*([^/]+?)\s*$/.exec(displayName || '');
+    return match ? { project: match[1], environment: match[2] } : null;
+  }
+
+  /**
+   * Build the key a project's custom name and pin are stored under
+   * @param {string|null} projectId - Project ID from the tenant metadata
+   * @param {string} name - Project name
+   * @returns {string} Project key
+   */
+  getProjectKey(projectId, name) {
+    if (projectId) {
+      return `id:${projectId.replace(/[^a-zA-Z0-9_.-]/g, '').substring(0, 100) || 'unknown'}`;
+    }
+    const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+    return `name:${slug.substring(0, 100) || 'unnamed'}`;
+  }
+
+  /**
+   * Work out the project an XM Cloud tenant belongs to
+   * @param {Object} tenant - Stored tenant
+   * @returns {Object|null} { key, name, environmentName }, or null when the project is unknown
+   */
+  getProject(tenant) {
+    const displayName = SecurityUtils.decodeHtmlEntities(tenant.displayName || tenant.name || '');
+    const parsed = this.parseDisplayName(displayName);
+    const projectId = this.getMetadata(tenant, 'projectid');
+    const name = this.getMetadata(tenant, 'projectname') || (parsed && parsed.project) || projectId;
+    if (!name) return null;
+
+    return {
+      key: this.getProjectKey(projectId, name),
+      name,
+      environmentName: this.getMetadata(tenant, 'environmentname') || (parsed && parsed.environment) || displayName
+    };
+  }
+
+  /**
+   * Host of a tenant's CM instance (xmc-<tenantName>.sitecorecloud.io), from its URL annotation or its name
+   * @param {Object} tenant - Captured tenant
+   * @returns {string|null} Host, or null when the tenant names none
+   */
+  getCmHost(tenant) {
+    const candidates = [`xmc-${tenant.name || ''}.sitecorecloud.io`];
+    try {
+      candidates.unshift(new URL(this.getMetadata(tenant, 'url') || '').hostname);
+    } catch (error) {
+      // No URL annotation; fall back to the tenant name
+    }
+    return candidates.find(host => TenantLookup.XM_CLOUD_HOST_PATTERN.test(host)) || null;
+  }
+
+  /**
+   * Deep links into the tenant's CM instance
+   * @param {Object} tenant - Captured tenant (before validation)
+   * @returns {Array} Actions { name, displayName, url, category, description }
+   */
+  getExtraActions(tenant) {
+    const host = this.getCmHost(tenant);
+    if (!host) return [];
+
+    return XmCloudAdapter.CM_LINKS.map(({ name, path, description }) => {
+      const url = new URL(`https://${host}${path}`);
+      url.searchParams.set('sc_bw', '1');
+      if (tenant.organizationId) {
+        url.searchParams.set('organization', tenant.organizationId);
+      }
+      return { name, displayName: name, url: url.toString(), category: 'Quick Actions', description };
+    });
+  }
+
+  /**
+   * Classify an environment as usual, then from the project's environment name
+   * (the EnvironmentName label or the part after the "/" in the display name)
+   * @param {Object} tenant - Tenant with labels, annotations, displayName and name
+   * @param {Array} rules - User rules (raw or compiled)
+   * @returns {Object} { environment, source }
+   */
+  classifyEnvironment(tenant, rules = []) {
+    const classification = super.classifyEnvironment(tenant, rules);
+    if (classification.environment) return classification;
+
+    const project = this.getProject(tenant);
+    const environment = project
+      && (EnvironmentClassifier.normalize(project.environmentName) || EnvironmentClassifier.classifyName(project.environmentName));
+    return environment ? { environment, source: 'name' } : classification;
+  }
+
+  /**
+   * Order two environments of a project from development up to production (the reverse of
+   * DataProcessor.ENVIRONMENT_ORDER), unclassified ones last, then by name
+   * @param {Object} a - { tenant, environmentName }
+   * @param {Object} b - { tenant, environmentName }
+   * @returns {number} Sort order
+   */
+  compareEnvironments(a, b) {
+    const order = [...DataProcessor.ENVIRONMENT_ORDER].reverse();
+    const rank = entry => {
+      const index = order.indexOf(EnvironmentClassifier.getEnvironment(entry.tenant));
+      return index === -1 ? order.length : index;
+    };
+    return rank(a) - rank(b) || a.environmentName.localeCompare(b.environmentName);
+  }
+
+  /**
+   * Split the product group's tenants into projects
+   * @param {Object} group - Stored product group (carries the project custom names and pins)
+   * @param {Array} tenants - Tenants to show, in display order
+   * @returns {Object|null} { projects, others } where projects are
+   *   { key, name, customName, pinnedAt, environments: [{ tenant, environmentName }] }
+   *   (pinned first, then by name) and others are tenants without a project;
+   *   null when no tenant belongs to an XM Cloud project
+   */
+  groupTenants(group, tenants) {
+    const projects = new Map();
+    const others = [];
+
+    tenants.forEach(tenant => {
+      const project = this.getProject(tenant);
+      if (!project) {
+        others.push(tenant);
+        return;
+      }
+
+      if (!projects.has(project.key)) {
+        const settings = (group.projectSettings || {})[project.key] || {};
+        projects.set(project.key, {
+          key: project.key,
+          name: project.name,
+          customName: settings.customName ? SecurityUtils.decodeHtmlEntities(settings.customName) : null,
+          pinnedAt: settings.pinnedAt || null,
+          environments: []
+        });
+      }
+      projects.get(project.key).environments.push({ tenant, environmentName: project.environmentName });
+    });
+
+    if (projects.size === 0) return null;
+
+    const sorted = Array.from(projects.values()).sort((a, b) => {
+      if (!!a.pinnedAt !== !!b.pinnedAt) return a.pinnedAt ? -1 : 1;
+      if (a.pinnedAt) return new Date(a.pinnedAt) - new Date(b.pinnedAt);
+      return (a.customName || a.name).localeCompare(b.customName || b.name);
+    });
+    sorted.forEach(project => project.environments.sort((a, b) => this.compareEnvironments(a, b)));
+
+    return { projects: sorted, others };
+  }
+}
+
+// Register with the adapter registry (when loaded alongside it)
+if (typeof productAdapterRegistry !== 'undefined') {
+  productAdapterRegistry.register(new XmCloudAdapter());
+}
+
+// Export for module use
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { XmCloudAdapter };
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+  window.XmCloudAdapter = XmCloudAdapter;
+}
@@ -77,7 +77,13 @@ class Configuration {
         MAX_RETRY_DELAY: 10000,       // 10 seconds
         OBSERVER_TIMEOUT: 300000,     // 5 minutes
         EDIT_INPUT_DELAY: 300,        // 300ms for input debounce
-        NOTIFICATION_FADE: 300        // 300ms for fade animations
+        NOTIFICATION_FADE: 300,       // 300ms for fade animations
+        FAVICON_LOAD: 3000,           // 3 seconds to fetch a page favicon before tagging
+        TAB_IDLE: 600000,             // 10 minutes unused before a tab counts as idle for reuse
+        BADGE_FLASH: 2000,            // 2 seconds of toolbar badge feedback after a menu command
+        SIDE_PANEL_REFRESH: 250,      // 250ms to collect tab and storage events before the side panel re-renders
+        OVERLAY_STYLES_LOAD: 2000,    // 2 seconds for the quick switcher's stylesheet to load before it is shown anyway
+        POPUP_VIEW_MAX_AGE: 5000      // 5 seconds before a requested popup view is ignored as left over
       },
 
       // Retry and Limit Settings
@@ -89,7 +95,9 @@ class Configuration {
         MAX_ERROR_COUNT: 10,
         MAX_LOG_ENTRIES: 1000,
         CLEANUP_BATCH_SIZE: 10,
-        NOTIFICATION_QUEUE_SIZE: 5
+        NOTIFICATION_QUEUE_SIZE: 5,
+        MAX_USAGE_ENTRIES: 200,
+        MAX_USAGE_VISITS: 10
       },
 
       // Storage Keys
@@ -99,6 +107,9 @@ class Configuration {
         ERROR_LOGS_KEY: 'error_logs',
         PERFORMANCE_METRICS_KEY: 'performance_metrics',
         USER_PREFERENCES_KEY: 'user_preferences',
+        USAGE_HISTORY_KEY: 'usage_history',
+        POPUP_VIEW_KEY: 'pending_popup_view', // session storage: view requested by a keyboard command
+        TAB_GROUPS_KEY: 'organization_tab_groups', // session storage: organization ID → tab group ID
         DATA_EXPIRATION_MS: 86400000,    // 24 hours in milliseconds
         CLEANUP_INTERVAL_MS: 3600000     // 1 hour cleanup interval
       },
@@ -109,7 +120,9 @@ class Configuration {
         DEBOUNCE_DELAY: 300,
         SCROLL_THRESHOLD: 100,
         MAX_DISPLAY_NAME_LENGTH: 50,
-        MAX_SEARCH_RESULTS: 20
+        MAX_SEARCH_RESULTS: 20,
+        MAX_RECENT_ITEMS: 5,
+        MAX_OMNIBOX_SUGGESTIONS: 8
       },
 
       // Security Settings
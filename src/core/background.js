@@ -7,7 +7,21 @@ try {
     '../config/config.js',
     '../utils/logger.js',
     '../utils/storageSecurityManager.js',
-    '../managers/optimizedRequestInterceptor.js'
+    '../managers/optimizedRequestInterceptor.js',
+    '../utils/asyncUtils.js',
+    '../utils/security.js',
+    '../utils/environmentClassifier.js',
+    '../managers/contextValidator.js',
+    '../utils/sharedUtils.js',
+    '../adapters/genericAdapter.js',
+    '../adapters/productAdapterRegistry.js',
+    '../adapters/xmCloudAdapter.js',
+    '../utils/tenantLookup.js',
+    '../managers/usageManager.js',
+    '../managers/preferencesManager.js',
+    '../managers/tabManager.js',
+    '../managers/omniboxManager.js',
+    '../managers/contextMenuManager.js'
   );
 } catch (e) {
   console.error('Failed to import required scripts:', e);
@@ -39,7 +53,11 @@ if (typeof CONFIG === 'undefined') {
         'API.SITECORE_IDENTITY_BASE': 'https://identity.sitecorecloud.io',
         'API.SITECORE_PORTAL_BASE': 'https://portal.sitecorecloud.io', 
         'API.ORGANIZATIONS_ENDPOINT': '/api/identity/v1/user/organizations',
-        'API.TENANTS_ENDPOINT': '/api/portal/graphql'
+        'API.TENANTS_ENDPOINT': '/api/portal/graphql',
+        'STORAGE.ORGANIZATIONS_KEY': 'organizations',
+        'STORAGE.POPUP_VIEW_KEY': 'pending_popup_view',
+        'TIMEOUTS.POPUP_VIEW_MAX_AGE': 5000,
+        'TIMEOUTS.BADGE_FLASH': 2000
       };
       return configs[path] || defaultValue;
     }
@@ -233,6 +251,374 @@ chrome.alarms.onAlarm.addListener(async (alarm) => {
   }
 });
 
+/**
+ * Open the popup in a particular view
+ * @param {Object} view - { view: 'switch-environment' } or { view: 'reveal', orgId, tenantId, notice }
+ * @returns {Promise<void>}
+ */
+async function openPopupView(view) {
+  // The popup reads and clears this when it opens; the timestamp lets it ignore a view left over from a failed open
+  const viewKey = CONFIG.get('STORAGE.POPUP_VIEW_KEY');
+  await chrome.storage.session.set({ [viewKey]: { ...view, requestedAt: Date.now() } });
+
+  try {
+    await chrome.action.openPopup();
+  } catch (error) {
+    await chrome.storage.session.remove(viewKey);
+    throw error;
+  }
+}
+
+/**
+ * Switch the current tab to the next or previous environment of its tenant
+ * (production items that need confirming are handed to the popup, which asks first)
+ * @param {Object} tab - Tab the command was used in
+ * @param {number} direction - 1 for the next environment, -1 for the previous one
+ * @returns {Promise<boolean>} Whether the tab was switched
+ */
+async function cycleEnvironment(tab, direction) {
+  const currentTab = tab || (await chrome.tabs.query({ active: true, currentWindow: true }))[0];
+  if (!currentTab || !currentTab.url) return false;
+
+  const { organizations, preferences } = await loadLaunchContext();
+  const match = TenantLookup.findTenant(organizations, TenantLookup.parseUrl(currentTab.url));
+  const next = match ? TenantLookup.getAdjacentEnvironment(currentTab.url, match, direction) : null;
+  if (!next) {
+    flashBadge(currentTab, false);
+    return false;
+  }
+
+  const item = { type: 'tenant', org: match.org, group: match.group, tenant: next.tenant, url: next.url };
+  if (DataProcessor.requiresProductionConfirmation(item)) {
+    await openPopupView({ view: 'activate', section: 'switch', ...OmniboxManager.getTarget(item) });
+    return false;
+  }
+
+  return await openLaunchItem(item, { disposition: 'currentTab', preferences, tab: currentTab });
+}
+
+/**
+ * Open the pinned item at a position of the popup's Pinned section, using the open mode setting
+ * @param {number} position - 1-based position
+ * @returns {Promise<boolean>} Whether the item was opened
+ */
+async function openPinnedItem(position) {
+  const { organizations, preferences } = await loadLaunchContext();
+  const item = DataProcessor.getPinnedItems(organizations)[position - 1];
+  if (!item) {
+    flashBadge(null, false);
+    return false;
+  }
+
+  if (DataProcessor.requiresProductionConfirmation(item)) {
+    await openPopupView({ view: 'activate', section: 'pinned', ...OmniboxManager.getTarget(item) });
+    return false;
+  }
+
+  return await openLaunchItem(item, { disposition: preferences.openMode, preferences });
+}
+
+// Keyboard commands (rebindable at chrome://extensions/shortcuts)
+chrome.commands.onCommand.addListener(async (command, tab) => {
+  try {
+    if (command === 'open-side-panel') {
+      // Before anything is awaited: opening the side panel needs the shortcut's user gesture
+      await chrome.sidePanel.open({ windowId: tab.windowId });
+    } else if (command === 'switch-environment') {
+      await openPopupView({ view: command });
+    } else if (command === 'next-environment' || command === 'previous-environment') {
+      await cycleEnvironment(tab, command === 'next-environment' ? 1 : -1);
+    } else {
+      const pinned = /^open-pinned-([1-9])$/.exec(command);
+      if (pinned) {
+        await openPinnedItem(Number(pinned[1]));
+      }
+    }
+  } catch (error) {
+    logger.warn('Keyboard command failed', { command, error: error.message });
+  }
+});
+
+/**
+ * Load what the launchers outside the popup need: organizations, preferences and usage history
+ * @returns {Promise<Object>} { organizations, preferences, history }
+ */
+async function loadLaunchContext() {
+  const [organizations, preferences, history] = await Promise.all([
+    storageManager.getOrganizations(),
+    preferencesManager.getAll(),
+    usageManager.getHistory()
+  ]);
+  return { organizations, preferences, history };
+}
+
+/**
+ * Open an organization, tenant or quick action following the popup's rules:
+ * unsafe URLs are blocked, the navigation is recorded and the tab reuse and grouping settings apply.
+ * In the current tab, only Sitecore tabs are replaced (unless replaceAnyTab, for the address bar)
+ * and switching organization on a portal page keeps the page.
+ * @param {Object} item - Launch item ({ org, tenant, action, url })
+ * @param {Object} options - Open options
+ * @param {string} options.disposition - 'currentTab', 'foreground', 'background' or 'newWindow'
+ * @param {Object} options.preferences - Preferences, when already loaded
+ * @param {Object} options.tab - Current tab, when already known
+ * @param {boolean} options.replaceAnyTab - Whether a non-Sitecore current tab may be replaced
+ * @returns {Promise<boolean>} Whether the item was opened
+ */
+async function openLaunchItem(item, { disposition = 'foreground', preferences = null, tab = null, replaceAnyTab = false } = {}) {
+  if (!item || !SecurityUtils.isUrlSafeForNavigation(item.url)) {
+    logger.warn('Blocked unsafe launch URL', { url: item && item.url });
+    return false;
+  }
+
+  const target = OmniboxManager.getTarget(item);
+  const settings = preferences || await preferencesManager.getAll();
+
+  try {
+    await usageManager.recordNavigation(target);
+  } catch (error) {
+    logger.warn('Failed to record navigation', error);
+  }
+
+  if (disposition === 'currentTab') {
+    const currentTab = tab || (await chrome.tabs.query({ active: true, currentWindow: true }))[0];
+    if (currentTab && (replaceAnyTab || SecurityUtils.isValidSitecoreUrl(currentTab.url || ''))) {
+      await chrome.tabs.update(currentTab.id, {
+        url: target.tenantId ? item.url : TabManager.replaceOrganization(currentTab.url || '', item.url)
+      });
+      return true;
+    }
+  }
+
+  await tabManager.open(item.url, {
+    target,
+    mode: settings.tabReuse,
+    disposition: disposition === 'currentTab' ? 'foreground' : disposition,
+    group: settings.groupTabsByOrganization ? TabManager.getGroupOptions(item.org, item.tenant) : null
+  });
+  return true;
+}
+
+// Address bar keyword ("sc acme prod")
+chrome.omnibox.setDefaultSuggestion({
+  description: 'Open a Sitecore organization, tenant or quick action'
+});
+
+chrome.omnibox.onInputChanged.addListener(async (text, suggest) => {
+  try {
+    const { organizations, preferences, history } = await loadLaunchContext();
+    const items = omniboxManager.search(organizations, text, { aliases: preferences.omniboxAliases, history });
+    suggest(items.map(item => OmniboxManager.toSuggestion(item)));
+  } catch (error) {
+    logger.warn('Failed to build address bar suggestions', error);
+    suggest([]);
+  }
+});
+
+chrome.omnibox.onInputEntered.addListener(async (text, disposition) => {
+  try {
+    const { organizations, preferences, history } = await loadLaunchContext();
+    const item = omniboxManager.resolveEntry(organizations, text, { aliases: preferences.omniboxAliases, history });
+    if (!item) {
+      logger.debug('No match for address bar entry', { text });
+      return;
+    }
+
+    const dispositions = {
+      currentTab: 'currentTab',
+      newForegroundTab: 'foreground',
+      newBackgroundTab: 'background'
+    };
+    if (DataProcessor.requiresProductionConfirmation(item)) {
+      await openPopupView({
+        view: 'activate',
+        section: 'address-bar',
+        disposition: dispositions[disposition] || 'foreground',
+        ...OmniboxManager.getTarget(item)
+      });
+      return;
+    }
+
+    await openLaunchItem(item, { disposition: dispositions[disposition] || 'foreground', preferences, replaceAnyTab: true });
+  } catch (error) {
+    logger.error('Failed to open address bar entry', error);
+  }
+});
+
+// Quick switcher overlay on Sitecore pages: the page names a stored item and may swap in
+// a different URL for it (another environment of the page it is on); openLaunchItem
+// still blocks anything outside the allowed Sitecore domains
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (sender.id !== chrome.runtime.id || !message || message.type !== 'OPEN_LAUNCH_ITEM') {
+    return false;
+  }
+
+  (async () => {
+    const dispositions = ['currentTab', 'foreground', 'background', 'newWindow'];
+    const disposition = dispositions.includes(message.disposition) ? message.disposition : 'foreground';
+    const { organizations, preferences } = await loadLaunchContext();
+    const item = DataProcessor.resolveLaunchItem(organizations, message.target || {});
+    if (!item || (message.url && typeof message.url !== 'string')) {
+      logger.warn('Rejected quick switcher item', { target: message.target });
+      return false;
+    }
+
+    return await openLaunchItem({ ...item, url: message.url || item.url }, { disposition, preferences, tab: sender.tab });
+  })()
+    .then(opened => sendResponse({ opened }))
+    .catch(error => {
+      logger.error('Failed to open quick switcher item', error);
+      sendResponse({ opened: false });
+    });
+
+  return true;
+});
+
+// Right-click menus on Sitecore links and product app pages
+
+/**
+ * Rebuild the context menus from the stored organizations
+ * @returns {Promise<void>}
+ */
+async function rebuildContextMenus() {
+  try {
+    await contextMenuManager.rebuild(await storageManager.getOrganizations());
+  } catch (error) {
+    logger.warn('Failed to rebuild context menus', error);
+  }
+}
+
+/**
+ * Briefly show a badge on the toolbar icon (feedback for menu commands that open nothing)
+ * @param {Object} tab - Tab the command ran in
+ * @param {boolean} success - Whether the command worked
+ */
+function flashBadge(tab, success) {
+  const target = tab && tab.id >= 0 ? { tabId: tab.id } : {};
+  chrome.action.setBadgeBackgroundColor({ ...target, color: success ? '#28a745' : '#dc3545' });
+  chrome.action.setBadgeText({ ...target, text: success ? '✓' : '!' });
+  setTimeout(() => {
+    chrome.action.setBadgeText({ ...target, text: '' });
+  }, CONFIG.get('TIMEOUTS.BADGE_FLASH', 2000));
+}
+
+/**
+ * Copy text to the clipboard from the page the menu was used on
+ * (the service worker has no clipboard; activeTab grants access to the page)
+ * @param {Object} tab - Tab the command ran in
+ * @param {string} text - Text to copy
+ * @returns {Promise<boolean>} Success status
+ */
+async function copyToClipboard(tab, text) {
+  try {
+    const [injection] = await chrome.scripting.executeScript({
+      target: { tabId: tab.id },
+      func: async (value) => {
+        try {
+          await navigator.clipboard.writeText(value);
+          return true;
+        } catch (error) {
+          return false;
+        }
+      },
+      args: [text]
+    });
+    return !!(injection && injection.result);
+  } catch (error) {
+    logger.warn('Failed to copy to the clipboard', error);
+    return false;
+  }
+}
+
+/**
+ * Open a Sitecore link in one of the stored organizations
+ * @param {string} linkUrl - Right-clicked link
+ * @param {string} orgId - Organization chosen from the menu
+ * @returns {Promise<boolean>} Whether the link was opened
+ */
+async function openLinkInOrganization(linkUrl, orgId) {
+  const organizations = await storageManager.getOrganizations();
+  const org = organizations.find(o => o.id === orgId);
+  const url = ContextMenuManager.buildOrganizationUrl(linkUrl, orgId);
+  if (!org || !url) {
+    logger.warn('Cannot open link in organization', { orgId });
+    return false;
+  }
+
+  return await openLaunchItem({ type: 'org', org, url }, { disposition: 'foreground' });
+}
+
+/**
+ * Save a product page as a bookmark on its tenant
+ * @param {string} pageUrl - Page URL
+ * @param {Object} tab - Tab showing the page
+ * @returns {Promise<Object>} Popup view revealing the tenant, with a notice saying what happened
+ */
+async function saveTenantBookmark(pageUrl, tab) {
+  const organizations = await storageManager.getOrganizations();
+  const match = TenantLookup.findTenant(organizations, TenantLookup.parseUrl(pageUrl));
+  if (!match) {
+    return { view: 'reveal', orgId: null, tenantId: null, notice: { message: 'This page is not a saved tenant', type: 'error' } };
+  }
+
+  const view = { view: 'reveal', orgId: match.org.id, tenantId: match.tenant.id };
+  try {
+    const title = ContextMenuManager.getPageTitle(tab && tab.title, match);
+    const { added } = DataProcessor.addTenantBookmark(match.tenant, { title, url: pageUrl });
+    if (added && !(await storageManager.saveOrganizations(organizations))) {
+      throw new Error('Save operation failed');
+    }
+    return { ...view, notice: { message: added ? 'Bookmark saved' : 'This page is already bookmarked', type: 'success' } };
+  } catch (error) {
+    logger.warn('Failed to save tenant bookmark', error);
+    return { ...view, notice: { message: `Failed to save bookmark: ${error.message}`, type: 'error' } };
+  }
+}
+
+chrome.runtime.onInstalled.addListener(() => rebuildContextMenus());
+chrome.runtime.onStartup.addListener(() => rebuildContextMenus());
+
+// Keep "Open in organization…" in step with captured and renamed organizations
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'local' && changes[CONFIG.get('STORAGE.ORGANIZATIONS_KEY')]) {
+    rebuildContextMenus();
+  }
+});
+
+chrome.contextMenus.onClicked.addListener(async (info, tab) => {
+  const ids = ContextMenuManager.MENU_IDS;
+
+  try {
+    const orgId = ContextMenuManager.getOrganizationId(info.menuItemId);
+    if (orgId) {
+      await openLinkInOrganization(info.linkUrl, orgId);
+      return;
+    }
+
+    switch (info.menuItemId) {
+      case ids.COPY_TENANT_NAME:
+      case ids.COPY_TENANT_ID: {
+        const tenant = ContextMenuManager.describeTenant(await storageManager.getOrganizations(), info.linkUrl);
+        const text = tenant && (info.menuItemId === ids.COPY_TENANT_ID ? tenant.id : tenant.name);
+        flashBadge(tab, !!text && await copyToClipboard(tab, text));
+        break;
+      }
+      case ids.SAVE_BOOKMARK:
+        await openPopupView(await saveTenantBookmark(info.pageUrl, tab));
+        break;
+      case ids.SHOW_IN_QUICKLINKS: {
+        const match = TenantLookup.findTenant(await storageManager.getOrganizations(), TenantLookup.parseUrl(info.pageUrl));
+        await openPopupView({ view: 'reveal', orgId: match ? match.org.id : null, tenantId: match ? match.tenant.id : null });
+        break;
+      }
+      default:
+        break;
+    }
+  } catch (error) {
+    logger.error('Context menu command failed', error);
+  }
+});
+
 // Extension uninstall preparation removed - periodic cleanup via alarms handles data expiration
 
 logger.info('Background script: WebRequest listeners registered');
\ No newline at end of file
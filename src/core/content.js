@@ -204,6 +204,9 @@ class SitecoreOrganizationDetector {
       const nodes = responseData.data.user.applications.nodes;
       this.logger.info(`Processing ${nodes.length} tenant nodes`);
 
+      // User-defined environment rules take precedence over the built-in ones
+      const environmentRules = EnvironmentClassifier.compileRules(await preferencesManager.get('environmentRules'));
+
       // Group subsites by product type
       const productGroups = {};
       
@@ -218,8 +221,10 @@ class SitecoreOrganizationDetector {
         const mainAction = actions[0]; // First action is usually the main product link
         
         if (mainAction) {
-          const productName = mainAction.name || node.productCode;
-          const iconSrc = mainAction.icon?.src || '';
+          // The product's adapter may rename, re-icon, classify and add links to its tenants
+          const adapter = productAdapterRegistry.getForTenant(node);
+          const productName = adapter.getProductName(mainAction.name || node.productCode);
+          const iconSrc = adapter.getIconSrc(mainAction.icon?.src || '');
           
           // Initialize product group if not exists
           if (!productGroups[productName]) {
@@ -237,6 +242,11 @@ class SitecoreOrganizationDetector {
             displayName: node.displayName || mainAction.displayName,
             url: mainAction.link?.to || null,
             organizationId: node.organizationId,
+            state: node.state,
+            systemId: node.systemId,
+            productCode: node.productCode,
+            labels: DataProcessor.toKeyValueMap(node.labels),
+            annotations: DataProcessor.toKeyValueMap(node.annotations),
             actions: actions.map(action => ({
               name: action.name,
               displayName: action.displayName,
@@ -250,6 +260,8 @@ class SitecoreOrganizationDetector {
             }))
           };
 
+          adapter.prepareTenant(tenantData, environmentRules);
+
           try {
             // Validate and sanitize tenant data
             const sanitizedTenant = SecurityUtils.validateTenantData(tenantData);
@@ -317,9 +329,14 @@ class SitecoreOrganizationDetector {
         ? this.currentOrgId 
         : (this.currentOrgId?.data || String(this.currentOrgId));
       
+      // Carry custom names and pins over from the previous capture
+      const existingOrgs = await storageManager.getOrganizations();
+      const existingOrg = existingOrgs.find(org => org.id === orgIdToUse);
+      const mergedGroups = DataProcessor.mergeProductGroups(existingOrg?.productGroups, groupedSubsites);
+
       // Update the specific organization using shared storage manager
       const success = await storageManager.updateOrganization(orgIdToUse, {
-        productGroups: groupedSubsites,
+        productGroups: mergedGroups,
         lastSubsiteUpdate: new Date().toISOString()
       });
 
@@ -0,0 +1,688 @@
+/**
+ * Manages the dashboard page: one sortable, filterable table of every captured tenant
+ * across all organizations, with a column chooser, multi-select and CSV export
+ */
+class DashboardManager {
+  constructor() {
+    this.rows = [];
+    this.visibleRows = [];
+    this.organizations = [];
+    this.preferences = null;
+    this.columns = [];
+    this.sort = { column: 'organization', direction: 'asc' };
+    this.filters = { text: '', organization: '', product: '', environment: '' };
+    this.selected = new Set();
+    this.lastClickedKey = null;
+    this.logger = Logger.createContextLogger('DashboardManager');
+    this.statusTimer = null;
+
+    this.init();
+  }
+
+  /**
+   * Initialize the dashboard
+   */
+  async init() {
+    try {
+      this.preferences = await preferencesManager.getAll();
+      this.columns = this.preferences.dashboardColumns;
+      await this.loadRows();
+      this.setupFilters();
+      this.setupColumnChooser();
+      this.setupTableEvents();
+      this.setupActions();
+      this.setupLiveUpdates();
+      this.render();
+    } catch (error) {
+      this.logger.error('Initialization failed', error);
+      this.showStatus('Failed to load tenants', 'error');
+    }
+  }
+
+  /**
+   * Adds an event listener, tracked by the memory manager when available
+   * @param {Element} element - Element to attach to
+   * @param {string} event - Event name
+   * @param {Function} handler - Event handler
+   */
+  addTrackedEventListener(element, event, handler) {
+    if (typeof memoryManager !== 'undefined') {
+      memoryManager.addEventListener(element, event, handler);
+    } else {
+      element.addEventListener(event, handler);
+    }
+  }
+
+  /**
+   * Shows a transient status message
+   * @param {string} message - Message to show
+   * @param {string} type - 'success' or 'error'
+   */
+  showStatus(message, type = 'success') {
+    const statusElement = document.getElementById('status');
+    if (!statusElement) return;
+
+    statusElement.textContent = message;
+    statusElement.className = type === 'error' ? 'status error' : 'status';
+
+    clearTimeout(this.statusTimer);
+    this.statusTimer = setTimeout(() => {
+      statusElement.classList.add('hidden');
+    }, CONFIG.get('TIMEOUTS.POPUP_NOTIFICATION'));
+  }
+
+  /**
+   * Flatten organizations into one row per tenant
+   * @param {Array} organizations - Stored organizations
+   * @param {Array} history - Usage history entries
+   * @param {Array<string>} detailFields - Tenant details fields the user shows (values of hidden ones are left empty)
+   * @returns {Array} Rows { key, org, tenant, url, values } with decoded display values
+   */
+  static buildRows(organizations, history, detailFields) {
+    const decode = value => SecurityUtils.decodeHtmlEntities(String(value || ''));
+    const lastOpened = UsageManager.getLastUsedByTenant(history);
+    const rows = [];
+
+    organizations.forEach(org => {
+      const orgName = decode(org.customName || org.name || org.id);
+
+      (org.productGroups || []).forEach(group => {
+        (group.tenants || []).forEach(tenant => {
+          const key = `${org.id}|${tenant.id}`;
+          const environment = EnvironmentClassifier.getEnvironment(tenant);
+          const labels = tenant.labels || {};
+
+          rows.push({
+            key,
+            org,
+            tenant,
+            url: tenant.url,
+            environment,
+            values: {
+              organization: orgName,
+              product: decode(group.productName),
+              displayName: decode(tenant.displayName || tenant.name),
+              customName: decode(tenant.customName),
+              tenantName: decode(tenant.name),
+              tenantId: decode(tenant.id),
+              environment: environment ? EnvironmentClassifier.getLabel(environment) : '',
+              region: decode(DataProcessor.getTenantRegion(tenant, org)),
+              state: decode(tenant.state),
+              subscriptionId: decode(labels.SubscriptionID),
+              lastCaptured: org.lastSubsiteUpdate || org.lastUpdated || '',
+              lastOpened: lastOpened[key] || ''
+            }
+          });
+
+          DataProcessor.DASHBOARD_COLUMNS
+            .filter(column => column.detailField && !detailFields.includes(column.detailField))
+            .forEach(column => {
+              rows[rows.length - 1].values[column.key] = '';
+            });
+        });
+      });
+    });
+
+    return rows;
+  }
+
+  /**
+   * Compare two rows on a column, keeping empty values last in either direction
+   * @param {Object} a - Row
+   * @param {Object} b - Row
+   * @param {Object} sort - { column, direction }
+   * @returns {number} Sort order
+   */
+  static compareRows(a, b, { column, direction }) {
+    const valueA = a.values[column];
+    const valueB = b.values[column];
+    if (!valueA || !valueB) {
+      return (valueA ? 0 : 1) - (valueB ? 0 : 1);
+    }
+
+    const definition = DataProcessor.DASHBOARD_COLUMNS.find(c => c.key === column);
+    const order = definition && definition.date
+      ? new Date(valueA) - new Date(valueB)
+      : valueA.localeCompare(valueB, undefined, { numeric: true, sensitivity: 'base' });
+    return direction === 'desc' ? -order : order;
+  }
+
+  /**
+   * Check a row against the filters; every word of the text filter must appear in some column
+   * @param {Object} row - Row
+   * @param {Object} filters - { text, organization, product, environment }
+   * @returns {boolean} Whether the row is shown
+   */
+  static matchesFilters(row, filters) {
+    if (filters.organization && row.org.id !== filters.organization) return false;
+    if (filters.product && row.values.product !== filters.product) return false;
+    if (filters.environment && (row.environment || '') !== filters.environment) return false;
+
+    const terms = filters.text.toLowerCase().split(/\s+/).filter(Boolean);
+    if (terms.length === 0) return true;
+
+    const haystack = Object.values(row.values).join('\n').toLowerCase();
+    return terms.every(term => haystack.includes(term));
+  }
+
+  /**
+   * Format a cell for display
+   * @param {Object} column - Column definition
+   * @param {string} value - Row value
+   * @returns {string} Display text
+   */
+  static formatValue(column, value) {
+    if (!value) return '';
+    return column.date ? new Date(value).toLocaleString() : value;
+  }
+
+  /**
+   * Build CSV text, quoting where needed and defusing values a spreadsheet would run as formulas
+   * @param {Array} rows - Rows to export
+   * @param {Array} columns - Column definitions to export
+   * @returns {string} CSV text
+   */
+  static toCsv(rows, columns) {
+    const escape = value => {
+      let text = String(value || '');
+      if (/^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+      }
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    const lines = [columns.map(column => escape(column.label)).join(',')];
+    rows.forEach(row => {
+      lines.push(columns.map(column => escape(row.values[column.key])).join(','));
+    });
+    return lines.join('\r\n');
+  }
+
+  /**
+   * Load organizations and usage history and rebuild the rows, dropping selections that no longer exist
+   */
+  async loadRows() {
+    const [organizations, history] = await Promise.all([
+      storageManager.getOrganizations(),
+      usageManager.getHistory()
+    ]);
+    this.organizations = organizations;
+    this.rows = DashboardManager.buildRows(organizations, history, this.preferences.tenantDetailFields);
+
+    const keys = new Set(this.rows.map(row => row.key));
+    this.selected = new Set([...this.selected].filter(key => keys.has(key)));
+    this.renderFilterOptions();
+  }
+
+  /**
+   * Re-render when captures arrive, tenants are opened elsewhere or the shown columns change
+   */
+  setupLiveUpdates() {
+    const watchedKeys = [CONFIG.get('STORAGE.ORGANIZATIONS_KEY'), CONFIG.get('STORAGE.USAGE_HISTORY_KEY')];
+
+    chrome.storage.onChanged.addListener(async (changes, areaName) => {
+      if (areaName !== 'local' || !watchedKeys.some(key => changes[key])) return;
+
+      try {
+        // Reloading the rows also refreshes the filter options
+        await this.loadRows();
+        this.render();
+      } catch (error) {
+        this.logger.warn('Failed to refresh tenants', error);
+      }
+    });
+
+    preferencesManager.onChanged(async (preferences, changedKeys) => {
+      if (!changedKeys.some(key => key === 'tenantDetailFields' || key === 'dashboardColumns')) return;
+
+      this.preferences = preferences;
+      this.columns = preferences.dashboardColumns;
+      this.renderColumnChoices();
+
+      try {
+        // Rows carry the details fields, so rebuild them when those change
+        await this.loadRows();
+        this.render();
+      } catch (error) {
+        this.logger.warn('Failed to refresh tenants', error);
+      }
+    });
+  }
+
+  /**
+   * Wire up the text filter and the organization, product and environment selects
+   */
+  setupFilters() {
+    const controls = [
+      { element: document.getElementById('filter-input'), key: 'text', event: 'input' },
+      { element: document.getElementById('filter-organization'), key: 'organization', event: 'change' },
+      { element: document.getElementById('filter-product'), key: 'product', event: 'change' },
+      { element: document.getElementById('filter-environment'), key: 'environment', event: 'change' }
+    ];
+
+    controls.forEach(({ element, key, event }) => {
+      if (!element) return;
+      this.addTrackedEventListener(element, event, () => {
+        this.filters[key] = element.value;
+        this.render();
+      });
+    });
+  }
+
+  /**
+   * Fill the filter selects from the current rows, keeping the chosen values
+   */
+  renderFilterOptions() {
+    // Keep the first ("All …") option and the chosen value while it still exists
+    const fill = (id, key, options) => {
+      const select = document.getElementById(id);
+      if (!select) return;
+
+      while (select.options.length > 1) {
+        select.remove(1);
+      }
+      options.forEach(({ value, label }) => {
+        select.add(new Option(label, value));
+      });
+      if (!options.some(option => option.value === this.filters[key])) {
+        this.filters[key] = '';
+      }
+      select.value = this.filters[key];
+    };
+
+    const organizations = new Map();
+    const products = new Set();
+    const environments = new Set();
+    this.rows.forEach(row => {
+      organizations.set(row.org.id, row.values.organization);
+      if (row.values.product) products.add(row.values.product);
+      if (row.environment) environments.add(row.environment);
+    });
+
+    fill('filter-organization', 'organization', Array.from(organizations.entries())
+      .map(([value, label]) => ({ value, label }))
+      .sort((a, b) => a.label.localeCompare(b.label)));
+    fill('filter-product', 'product', Array.from(products).sort((a, b) => a.localeCompare(b))
+      .map(product => ({ value: product, label: product })));
+    fill('filter-environment', 'environment', DataProcessor.ENVIRONMENT_ORDER
+      .filter(environment => environments.has(environment))
+      .map(environment => ({ value: environment, label: EnvironmentClassifier.getLabel(environment) })));
+  }
+
+  /**
+   * Columns that can be shown, leaving out those whose tenant details field is hidden
+   * @returns {Array} Column definitions in display order
+   */
+  getAvailableColumns() {
+    return DataProcessor.DASHBOARD_COLUMNS.filter(column =>
+      !column.detailField || this.preferences.tenantDetailFields.includes(column.detailField));
+  }
+
+  /**
+   * Save the chosen columns when a column checkbox changes
+   */
+  setupColumnChooser() {
+    const container = document.getElementById('column-choices');
+    if (!container) return;
+
+    this.renderColumnChoices();
+    this.addTrackedEventListener(container, 'change', async () => {
+      const chosen = Array.from(container.querySelectorAll('input:checked')).map(checkbox => checkbox.value);
+      if (chosen.length === 0) {
+        this.showStatus('Keep at least one column', 'error');
+        this.renderColumnChoices();
+        return;
+      }
+
+      // Keep columns whose details field is hidden, so they come back when it is shown again
+      const available = this.getAvailableColumns().map(column => column.key);
+      this.columns = [...chosen, ...this.columns.filter(column => !available.includes(column))];
+      this.render();
+      await preferencesManager.set('dashboardColumns', this.columns);
+    });
+  }
+
+  /**
+   * Rebuild the column checkboxes from the available and chosen columns
+   */
+  renderColumnChoices() {
+    const container = document.getElementById('column-choices');
+    if (!container) return;
+
+    container.innerHTML = '';
+    this.getAvailableColumns().forEach(column => {
+      const label = document.createElement('label');
+      label.className = 'column-choice';
+
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.value = column.key;
+      checkbox.checked = this.columns.includes(column.key);
+
+      label.appendChild(checkbox);
+      label.appendChild(document.createTextNode(column.label));
+      container.appendChild(label);
+    });
+  }
+
+  /**
+   * Delegated handlers for sorting, selecting and opening rows
+   */
+  setupTableEvents() {
+    const header = document.getElementById('table-header');
+    const body = document.getElementById('table-body');
+
+    this.addTrackedEventListener(header, 'click', (e) => {
+      const cell = e.target.closest('th[data-column]');
+      if (!cell) return;
+
+      const column = cell.dataset.column;
+      const definition = DataProcessor.DASHBOARD_COLUMNS.find(c => c.key === column);
+      this.sort = this.sort.column === column
+        ? { column, direction: this.sort.direction === 'asc' ? 'desc' : 'asc' }
+        : { column, direction: definition.date ? 'desc' : 'asc' };
+      this.render();
+    });
+
+    this.addTrackedEventListener(header, 'change', (e) => {
+      if (!e.target.matches('.select-all')) return;
+
+      this.visibleRows.forEach(row => {
+        if (e.target.checked) {
+          this.selected.add(row.key);
+        } else {
+          this.selected.delete(row.key);
+        }
+      });
+      this.updateSelectionDisplay();
+    });
+
+    this.addTrackedEventListener(body, 'click', async (e) => {
+      const link = e.target.closest('.tenant-link');
+      if (link) {
+        e.preventDefault();
+        const row = this.rows.find(r => r.key === link.closest('tr').dataset.key);
+        if (row) {
+          await this.openRows([row], { disposition: e.ctrlKey || e.metaKey ? 'background' : 'foreground' });
+        }
+        return;
+      }
+
+      if (e.target.matches('.row-select')) {
+        this.toggleRowSelection(e.target.closest('tr').dataset.key, e.target.checked, e.shiftKey);
+      }
+    });
+  }
+
+  /**
+   * Select or deselect a row; Shift extends the change to every row since the last one clicked
+   * @param {string} key - Row key
+   * @param {boolean} checked - New state
+   * @param {boolean} extend - Whether Shift was held
+   */
+  toggleRowSelection(key, checked, extend) {
+    const keys = this.visibleRows.map(row => row.key);
+    const from = keys.indexOf(this.lastClickedKey);
+    const to = keys.indexOf(key);
+    const range = extend && from !== -1 && to !== -1
+      ? keys.slice(Math.min(from, to), Math.max(from, to) + 1)
+      : [key];
+
+    range.forEach(rangeKey => {
+      if (checked) {
+        this.selected.add(rangeKey);
+      } else {
+        this.selected.delete(rangeKey);
+      }
+    });
+    this.lastClickedKey = key;
+    this.updateSelectionDisplay();
+  }
+
+  /**
+   * Wire up the export, open and clear buttons
+   */
+  setupActions() {
+    const exportButton = document.getElementById('export-btn');
+    const openButton = document.getElementById('open-selected-btn');
+    const clearButton = document.getElementById('clear-selection-btn');
+
+    this.addTrackedEventListener(exportButton, 'click', () => this.exportCsv());
+    this.addTrackedEventListener(openButton, 'click', async () => {
+      await this.openRows(this.rows.filter(row => this.selected.has(row.key)), { disposition: 'background' });
+    });
+    this.addTrackedEventListener(clearButton, 'click', () => {
+      this.selected.clear();
+      this.updateSelectionDisplay();
+    });
+  }
+
+  /**
+   * Download the selected (or all shown) rows with the chosen columns as CSV
+   */
+  exportCsv() {
+    const rows = this.selected.size > 0 ? this.rows.filter(row => this.selected.has(row.key)) : this.visibleRows;
+    if (rows.length === 0) {
+      this.showStatus('No tenants to export', 'error');
+      return;
+    }
+
+    const columns = this.getAvailableColumns().filter(column => this.columns.includes(column.key));
+    // The byte order mark makes Excel read the file as UTF-8
+    const blob = new Blob(['\uFEFF', DashboardManager.toCsv(rows, columns)], { type: 'text/csv;charset=utf-8' });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `sitecore-tenants-${new Date().toISOString().slice(0, 10)}.csv`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+
+    this.showStatus(`Exported ${rows.length} ${rows.length === 1 ? 'tenant' : 'tenants'}`);
+  }
+
+  /**
+   * Open tenants, asking first for production tenants of guarded organizations and above the bulk warning threshold.
+   * A single tenant follows the tab reuse setting; several open in background tabs grouped by organization.
+   * @param {Array} rows - Rows to open
+   * @param {Object} options - { disposition } for a single tenant
+   */
+  async openRows(rows, { disposition = 'foreground' } = {}) {
+    const items = rows
+      .map(row => ({ type: 'tenant', org: row.org, tenant: row.tenant, url: row.url }))
+      .filter(item => item.url && SecurityUtils.isUrlSafeForNavigation(item.url));
+    if (items.length === 0) {
+      this.showStatus('No tenants with a valid URL to open', 'error');
+      return;
+    }
+
+    const warnings = [];
+    if (items.length > this.preferences.bulkOpenWarningThreshold) {
+      warnings.push(`This opens ${items.length} tabs.`);
+    }
+    const guarded = items.filter(item => DataProcessor.requiresProductionConfirmation(item));
+    if (guarded.length > 0) {
+      warnings.push(guarded.length === 1 && items.length === 1
+        ? 'This is a PRODUCTION tenant.'
+        : `${guarded.length} of them ${guarded.length === 1 ? 'is a PRODUCTION tenant' : 'are PRODUCTION tenants'}.`);
+    }
+    if (warnings.length > 0 && !confirm(`${warnings.join(' ')} Continue?`)) {
+      return;
+    }
+
+    try {
+      const groupTabs = this.preferences.groupTabsByOrganization;
+
+      if (items.length === 1) {
+        const [item] = items;
+        await usageManager.recordNavigation({ orgId: item.org.id, tenantId: item.tenant.id });
+        await tabManager.open(item.url, {
+          target: { orgId: item.org.id, tenantId: item.tenant.id },
+          mode: this.preferences.tabReuse,
+          disposition,
+          group: groupTabs ? TabManager.getGroupOptions(item.org, item.tenant) : null
+        });
+        return;
+      }
+
+      // Bulk opens are not recorded in the usage history, as in the popup
+      const byOrganization = new Map();
+      items.forEach(item => {
+        if (!byOrganization.has(item.org.id)) {
+          byOrganization.set(item.org.id, []);
+        }
+        byOrganization.get(item.org.id).push(item);
+      });
+      for (const orgItems of byOrganization.values()) {
+        await tabManager.openAll(orgItems.map(item => item.url), {
+          group: groupTabs ? TabManager.getGroupOptions(orgItems[0].org) : null
+        });
+      }
+    } catch (error) {
+      this.logger.error('Error opening tenants', error);
+      this.showStatus('Failed to open tenants', 'error');
+    }
+  }
+
+  /**
+   * Render the header, the filtered and sorted rows and the selection summary
+   */
+  render() {
+    const columns = this.getAvailableColumns().filter(column => this.columns.includes(column.key));
+
+    this.visibleRows = this.rows
+      .filter(row => DashboardManager.matchesFilters(row, this.filters))
+      .sort((a, b) => DashboardManager.compareRows(a, b, this.sort)
+        || a.values.organization.localeCompare(b.values.organization)
+        || a.values.displayName.localeCompare(b.values.displayName));
+
+    this.renderHeader(columns);
+    this.renderBody(columns);
+    this.updateSelectionDisplay();
+  }
+
+  /**
+   * Render the header row with the select-all box and sort indicators
+   * @param {Array} columns - Shown column definitions
+   */
+  renderHeader(columns) {
+    const header = document.getElementById('table-header');
+    header.innerHTML = '';
+
+    const selectCell = document.createElement('th');
+    selectCell.className = 'select-cell';
+    const selectAll = document.createElement('input');
+    selectAll.type = 'checkbox';
+    selectAll.className = 'select-all';
+    selectAll.title = 'Select all shown tenants';
+    selectCell.appendChild(selectAll);
+    header.appendChild(selectCell);
+
+    columns.forEach(column => {
+      const cell = document.createElement('th');
+      cell.dataset.column = column.key;
+      cell.textContent = column.label;
+      cell.title = 'Sort';
+      if (this.sort.column === column.key) {
+        cell.classList.add('sorted', this.sort.direction);
+        cell.setAttribute('aria-sort', this.sort.direction === 'asc' ? 'ascending' : 'descending');
+      }
+      header.appendChild(cell);
+    });
+  }
+
+  /**
+   * Render the table rows
+   * @param {Array} columns - Shown column definitions
+   */
+  renderBody(columns) {
+    const body = document.getElementById('table-body');
+    const emptyState = document.getElementById('empty-state');
+    const fragment = document.createDocumentFragment();
+
+    this.visibleRows.forEach(row => {
+      const tr = document.createElement('tr');
+      tr.dataset.key = row.key;
+
+      const selectCell = document.createElement('td');
+      selectCell.className = 'select-cell';
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.className = 'row-select';
+      selectCell.appendChild(checkbox);
+      tr.appendChild(selectCell);
+
+      columns.forEach(column => {
+        const cell = document.createElement('td');
+        const text = DashboardManager.formatValue(column, row.values[column.key]);
+
+        if (column.key === 'displayName' && row.url) {
+          const link = document.createElement('a');
+          link.className = 'tenant-link';
+          link.href = row.url;
+          link.textContent = text;
+          link.title = 'Open (Ctrl+click for a background tab)';
+          cell.appendChild(link);
+        } else if (column.key === 'environment' && row.environment) {
+          const badge = document.createElement('span');
+          badge.className = `env-badge env-${row.environment}`;
+          badge.textContent = text;
+          cell.appendChild(badge);
+        } else {
+          cell.textContent = text;
+          if (column.date && row.values[column.key]) {
+            cell.title = row.values[column.key];
+          }
+        }
+        tr.appendChild(cell);
+      });
+
+      fragment.appendChild(tr);
+    });
+
+    body.innerHTML = '';
+    body.appendChild(fragment);
+
+    emptyState.textContent = this.rows.length === 0
+      ? 'No tenants captured yet. Visit the Sitecore Portal to capture your organizations.'
+      : 'No tenants match the filters.';
+    emptyState.classList.toggle('hidden', this.visibleRows.length > 0);
+  }
+
+  /**
+   * Show the selection on the rows and the select-all box (without rebuilding the table),
+   * then update the row count and the selection actions
+   */
+  updateSelectionDisplay() {
+    document.querySelectorAll('#table-body tr').forEach(tr => {
+      const isSelected = this.selected.has(tr.dataset.key);
+      tr.classList.toggle('selected', isSelected);
+      tr.querySelector('.row-select').checked = isSelected;
+    });
+
+    const selectAll = document.querySelector('#table-header .select-all');
+    const selectedShown = this.visibleRows.filter(row => this.selected.has(row.key)).length;
+    selectAll.checked = selectedShown > 0 && selectedShown === this.visibleRows.length;
+    selectAll.indeterminate = selectedShown > 0 && selectedShown < this.visibleRows.length;
+
+    const count = document.getElementById('row-count');
+    const actions = document.getElementById('selection-actions');
+    const exportButton = document.getElementById('export-btn');
+
+    const shown = this.visibleRows.length;
+    count.textContent = shown === this.rows.length
+      ? `${shown} ${shown === 1 ? 'tenant' : 'tenants'}`
+      : `${shown} of ${this.rows.length} tenants`;
+    if (this.selected.size > 0) {
+      count.textContent += ` · ${this.selected.size} selected`;
+    }
+
+    actions.classList.toggle('hidden', this.selected.size === 0);
+    exportButton.textContent = this.selected.size > 0 ? 'Export selected' : 'Export CSV';
+  }
+}
+
+// Initialize when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+  new DashboardManager();
+});
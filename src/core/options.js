@@ -0,0 +1,592 @@
+/**
+ * Manages the extension settings page
+ */
+class OptionsManager {
+  constructor() {
+    this.environmentRules = [];
+    this.omniboxAliases = [];
+    this.organizations = [];
+    this.logger = Logger.createContextLogger('OptionsManager');
+    this.statusTimer = null;
+
+    this.init();
+  }
+
+  /**
+   * Initialize the settings page
+   */
+  async init() {
+    try {
+      this.environmentRules = await preferencesManager.get('environmentRules');
+      this.setupEnvironmentRuleForm();
+      this.setupRuleTester();
+      this.renderEnvironmentRules();
+      await this.setupEnvironmentChoices();
+      await this.setupTenantDetailChoices();
+      await this.setupPreferenceInputs();
+      await this.setupOmniboxAliases();
+      await this.renderTabGroupColors();
+    } catch (error) {
+      this.logger.error('Initialization failed', error);
+      this.showStatus('Failed to load settings', 'error');
+    }
+  }
+
+  /**
+   * Adds an event listener, tracked by the memory manager when available
+   * @param {Element} element - Element to attach to
+   * @param {string} event - Event name
+   * @param {Function} handler - Event handler
+   */
+  addTrackedEventListener(element, event, handler) {
+    if (typeof memoryManager !== 'undefined') {
+      memoryManager.addEventListener(element, event, handler);
+    } else {
+      element.addEventListener(event, handler);
+    }
+  }
+
+  /**
+   * Shows a transient status message
+   * @param {string} message - Message to show
+   * @param {string} type - 'success' or 'error'
+   */
+  showStatus(message, type = 'success') {
+    const statusElement = document.getElementById('status');
+    if (!statusElement) return;
+
+    statusElement.textContent = message;
+    statusElement.className = type === 'error' ? 'status error' : 'status';
+
+    clearTimeout(this.statusTimer);
+    this.statusTimer = setTimeout(() => {
+      statusElement.classList.add('hidden');
+    }, CONFIG.get('TIMEOUTS.POPUP_NOTIFICATION'));
+  }
+
+  /**
+   * Renders environment checkbox groups (elements with data-preference) and saves changes
+   */
+  async setupEnvironmentChoices() {
+    const preferences = await preferencesManager.getAll();
+
+    document.querySelectorAll('.environment-choices[data-preference]').forEach(container => {
+      const key = container.dataset.preference;
+      container.innerHTML = '';
+
+      Object.keys(EnvironmentClassifier.ENVIRONMENTS).forEach(environment => {
+        const label = document.createElement('label');
+        label.className = 'environment-choice';
+
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.value = environment;
+        checkbox.checked = preferences[key].includes(environment);
+        label.appendChild(checkbox);
+        label.appendChild(document.createTextNode(EnvironmentClassifier.getLabel(environment)));
+        container.appendChild(label);
+      });
+
+      this.addTrackedEventListener(container, 'change', async () => {
+        const selected = Array.from(container.querySelectorAll('input:checked')).map(input => input.value);
+        if (await preferencesManager.set(key, selected)) {
+          this.showStatus('Settings saved');
+        } else {
+          this.showStatus('Failed to save settings', 'error');
+        }
+      });
+    });
+  }
+
+  /**
+   * Renders the tenant details field checkboxes and saves changes
+   */
+  async setupTenantDetailChoices() {
+    const container = document.querySelector('.field-choices[data-preference="tenantDetailFields"]');
+    if (!container) return;
+
+    const selectedFields = await preferencesManager.get('tenantDetailFields');
+    container.innerHTML = '';
+
+    DataProcessor.TENANT_DETAIL_FIELDS.forEach(field => {
+      const label = document.createElement('label');
+      label.className = 'environment-choice';
+
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.value = field.key;
+      checkbox.checked = selectedFields.includes(field.key);
+      label.appendChild(checkbox);
+      label.appendChild(document.createTextNode(field.label));
+      container.appendChild(label);
+    });
+
+    this.addTrackedEventListener(container, 'change', async () => {
+      const selected = Array.from(container.querySelectorAll('input:checked')).map(input => input.value);
+      if (await preferencesManager.set('tenantDetailFields', selected)) {
+        this.showStatus('Settings saved');
+      } else {
+        this.showStatus('Failed to save settings', 'error');
+      }
+    });
+  }
+
+  /**
+   * Restores and saves single-value preferences (selects and checkboxes with data-preference)
+   */
+  async setupPreferenceInputs() {
+    const preferences = await preferencesManager.getAll();
+
+    document.querySelectorAll('select[data-preference], input[data-preference]').forEach(input => {
+      const key = input.dataset.preference;
+      const isCheckbox = input.type === 'checkbox';
+      if (isCheckbox) {
+        input.checked = preferences[key];
+      } else {
+        input.value = preferences[key];
+      }
+
+      const readValue = () => {
+        if (isCheckbox) return input.checked;
+        return input.type === 'number' ? Number(input.value) : input.value;
+      };
+
+      this.addTrackedEventListener(input, 'change', async () => {
+        if (await preferencesManager.set(key, readValue())) {
+          this.showStatus('Settings saved');
+        } else {
+          this.showStatus('Failed to save settings', 'error');
+        }
+      });
+    });
+  }
+
+  /**
+   * Loads the address bar aliases and fills the add-alias form with organizations and tenants
+   */
+  async setupOmniboxAliases() {
+    const form = document.getElementById('alias-form');
+    const nameInput = document.getElementById('alias-name');
+    const targetSelect = document.getElementById('alias-target');
+    if (!form) return;
+
+    this.omniboxAliases = await preferencesManager.get('omniboxAliases');
+    this.organizations = await storageManager.getOrganizations();
+
+    this.organizations.forEach(org => {
+      const orgOption = document.createElement('option');
+      orgOption.value = JSON.stringify({ orgId: org.id });
+      orgOption.textContent = this.describeAliasTarget({ orgId: org.id });
+      targetSelect.appendChild(orgOption);
+
+      (org.productGroups || []).forEach(group => {
+        (group.tenants || []).forEach(tenant => {
+          const tenantOption = document.createElement('option');
+          tenantOption.value = JSON.stringify({ orgId: org.id, tenantId: tenant.id });
+          tenantOption.textContent = this.describeAliasTarget({ orgId: org.id, tenantId: tenant.id });
+          targetSelect.appendChild(tenantOption);
+        });
+      });
+    });
+
+    this.addTrackedEventListener(form, 'submit', async (e) => {
+      e.preventDefault();
+      if (!targetSelect.value) {
+        this.showStatus('Capture an organization in the portal first', 'error');
+        return;
+      }
+
+      const alias = { alias: nameInput.value.trim().toLowerCase(), ...JSON.parse(targetSelect.value) };
+      if (await this.addOmniboxAlias(alias)) {
+        nameInput.value = '';
+      }
+    });
+
+    this.renderOmniboxAliases();
+  }
+
+  /**
+   * Describes what an alias opens, e.g. "Acme" or "Acme › Acme XM Cloud / UAT"
+   * @param {Object} alias - { orgId, tenantId }
+   * @returns {string} Description
+   */
+  describeAliasTarget({ orgId, tenantId = null }) {
+    const org = this.organizations.find(o => o.id === orgId);
+    if (!org) return 'Unknown organization';
+
+    const orgName = SecurityUtils.decodeHtmlEntities(org.customName || org.name);
+    if (!tenantId) return orgName;
+
+    const tenant = (org.productGroups || [])
+      .flatMap(group => group.tenants || [])
+      .find(t => t.id === tenantId);
+    if (!tenant) return `${orgName} › Unknown tenant`;
+
+    return `${orgName} › ${SecurityUtils.decodeHtmlEntities(tenant.customName || tenant.displayName || tenant.name)}`;
+  }
+
+  /**
+   * Renders the address bar aliases table
+   */
+  renderOmniboxAliases() {
+    const listElement = document.getElementById('aliases-list');
+    const emptyElement = document.getElementById('aliases-empty');
+    if (!listElement) return;
+
+    listElement.innerHTML = '';
+    emptyElement.classList.toggle('hidden', this.omniboxAliases.length > 0);
+
+    this.omniboxAliases.forEach((alias, index) => {
+      const row = document.createElement('tr');
+
+      const aliasCell = document.createElement('td');
+      const aliasCode = document.createElement('code');
+      aliasCode.textContent = alias.alias;
+      aliasCell.appendChild(aliasCode);
+      row.appendChild(aliasCell);
+
+      const targetCell = document.createElement('td');
+      targetCell.textContent = this.describeAliasTarget(alias);
+      row.appendChild(targetCell);
+
+      const actionsCell = document.createElement('td');
+      actionsCell.className = 'rule-actions';
+
+      const deleteButton = document.createElement('button');
+      deleteButton.className = 'icon-button danger';
+      deleteButton.textContent = '✕';
+      deleteButton.title = 'Delete alias';
+      this.addTrackedEventListener(deleteButton, 'click', () => {
+        this.saveOmniboxAliases(this.omniboxAliases.filter((_, i) => i !== index));
+      });
+      actionsCell.appendChild(deleteButton);
+
+      row.appendChild(actionsCell);
+      listElement.appendChild(row);
+    });
+  }
+
+  /**
+   * Adds an address bar alias
+   * @param {Object} alias - { alias, orgId, tenantId }
+   * @returns {Promise<boolean>} Success status
+   */
+  async addOmniboxAlias(alias) {
+    if (!OmniboxManager.isValidAlias(alias)) {
+      this.showStatus('Aliases are up to 20 letters, digits, dashes or underscores', 'error');
+      return false;
+    }
+    if (this.omniboxAliases.some(existing => existing.alias === alias.alias)) {
+      this.showStatus(`"${alias.alias}" is already in use`, 'error');
+      return false;
+    }
+    if (this.omniboxAliases.length >= OmniboxManager.MAX_ALIASES) {
+      this.showStatus(`At most ${OmniboxManager.MAX_ALIASES} aliases are supported`, 'error');
+      return false;
+    }
+
+    return await this.saveOmniboxAliases([...this.omniboxAliases, alias]);
+  }
+
+  /**
+   * Saves the complete alias list
+   * @param {Array} aliases - Alias definitions
+   * @returns {Promise<boolean>} Success status
+   */
+  async saveOmniboxAliases(aliases) {
+    if (!(await preferencesManager.set('omniboxAliases', aliases))) {
+      this.showStatus('Failed to save aliases', 'error');
+      return false;
+    }
+
+    this.omniboxAliases = aliases;
+    this.renderOmniboxAliases();
+    this.showStatus('Aliases saved');
+    return true;
+  }
+
+  /**
+   * Renders the per-organization tab group colour pickers
+   */
+  async renderTabGroupColors() {
+    const listElement = document.getElementById('group-colors-list');
+    const emptyElement = document.getElementById('group-colors-empty');
+    if (!listElement) return;
+
+    const organizations = await storageManager.getOrganizations();
+    listElement.innerHTML = '';
+    emptyElement.classList.toggle('hidden', organizations.length > 0);
+
+    organizations.forEach(org => {
+      const row = document.createElement('tr');
+
+      const nameCell = document.createElement('td');
+      nameCell.textContent = SecurityUtils.decodeHtmlEntities(org.customName || org.name);
+      row.appendChild(nameCell);
+
+      const colorCell = document.createElement('td');
+      const select = document.createElement('select');
+      select.className = 'select-input';
+
+      const automatic = document.createElement('option');
+      automatic.value = '';
+      automatic.textContent = 'Environment colour';
+      select.appendChild(automatic);
+
+      SecurityUtils.TAB_GROUP_COLORS.forEach(color => {
+        const option = document.createElement('option');
+        option.value = color;
+        option.textContent = color.charAt(0).toUpperCase() + color.slice(1);
+        select.appendChild(option);
+      });
+
+      select.value = org.tabGroupColor || '';
+      this.addTrackedEventListener(select, 'change', async () => {
+        const saved = await storageManager.updateOrganization(org.id, { tabGroupColor: select.value || undefined });
+        if (saved) {
+          this.showStatus('Settings saved');
+        } else {
+          this.showStatus('Failed to save settings', 'error');
+        }
+      });
+
+      colorCell.appendChild(select);
+      row.appendChild(colorCell);
+      listElement.appendChild(row);
+    });
+  }
+
+  /**
+   * Describes what a rule tests, e.g. "Display name" or "Label Environment"
+   * @param {Object} rule - Environment rule
+   * @returns {string} Description
+   */
+  describeRuleField(rule) {
+    const fieldLabels = {
+      displayName: 'Display name',
+      name: 'Tenant name',
+      label: 'Label',
+      annotation: 'Annotation'
+    };
+    const fieldLabel = fieldLabels[rule.field] || rule.field;
+    return rule.key ? `${fieldLabel} ${rule.key}` : fieldLabel;
+  }
+
+  /**
+   * Renders the custom environment rules table
+   */
+  renderEnvironmentRules() {
+    const listElement = document.getElementById('rules-list');
+    const emptyElement = document.getElementById('rules-empty');
+    if (!listElement) return;
+
+    listElement.innerHTML = '';
+    emptyElement.classList.toggle('hidden', this.environmentRules.length > 0);
+
+    this.environmentRules.forEach((rule, index) => {
+      const row = document.createElement('tr');
+
+      const patternCell = document.createElement('td');
+      const patternCode = document.createElement('code');
+      patternCode.className = 'rule-pattern';
+      patternCode.textContent = rule.pattern;
+      patternCell.appendChild(patternCode);
+      row.appendChild(patternCell);
+
+      const fieldCell = document.createElement('td');
+      fieldCell.textContent = this.describeRuleField(rule);
+      row.appendChild(fieldCell);
+
+      const environmentCell = document.createElement('td');
+      environmentCell.textContent = EnvironmentClassifier.getLabel(rule.environment);
+      row.appendChild(environmentCell);
+
+      const actionsCell = document.createElement('td');
+      actionsCell.className = 'rule-actions';
+
+      const upButton = document.createElement('button');
+      upButton.className = 'icon-button';
+      upButton.textContent = '↑';
+      upButton.title = 'Move up';
+      upButton.disabled = index === 0;
+      this.addTrackedEventListener(upButton, 'click', () => this.moveEnvironmentRule(index, -1));
+      actionsCell.appendChild(upButton);
+
+      const downButton = document.createElement('button');
+      downButton.className = 'icon-button';
+      downButton.textContent = '↓';
+      downButton.title = 'Move down';
+      downButton.disabled = index === this.environmentRules.length - 1;
+      this.addTrackedEventListener(downButton, 'click', () => this.moveEnvironmentRule(index, 1));
+      actionsCell.appendChild(downButton);
+
+      const deleteButton = document.createElement('button');
+      deleteButton.className = 'icon-button danger';
+      deleteButton.textContent = '✕';
+      deleteButton.title = 'Delete rule';
+      this.addTrackedEventListener(deleteButton, 'click', () => this.removeEnvironmentRule(index));
+      actionsCell.appendChild(deleteButton);
+
+      row.appendChild(actionsCell);
+      listElement.appendChild(row);
+    });
+
+    this.updateRuleTester();
+  }
+
+  /**
+   * Sets up the add-rule form
+   */
+  setupEnvironmentRuleForm() {
+    const form = document.getElementById('rule-form');
+    const patternInput = document.getElementById('rule-pattern');
+    const fieldSelect = document.getElementById('rule-field');
+    const keyInput = document.getElementById('rule-key');
+    const environmentSelect = document.getElementById('rule-environment');
+    if (!form) return;
+
+    Object.keys(EnvironmentClassifier.ENVIRONMENTS).forEach(environment => {
+      const option = document.createElement('option');
+      option.value = environment;
+      option.textContent = EnvironmentClassifier.getLabel(environment);
+      environmentSelect.appendChild(option);
+    });
+
+    // Labels and annotations need a key
+    this.addTrackedEventListener(fieldSelect, 'change', () => {
+      const needsKey = fieldSelect.value === 'label' || fieldSelect.value === 'annotation';
+      keyInput.classList.toggle('hidden', !needsKey);
+      keyInput.required = needsKey;
+    });
+
+    this.addTrackedEventListener(form, 'submit', async (e) => {
+      e.preventDefault();
+
+      const rule = {
+        pattern: patternInput.value.trim(),
+        field: fieldSelect.value,
+        environment: environmentSelect.value
+      };
+      if (rule.field === 'label' || rule.field === 'annotation') {
+        rule.key = keyInput.value.trim();
+      }
+
+      if (await this.addEnvironmentRule(rule)) {
+        patternInput.value = '';
+        keyInput.value = '';
+      }
+    });
+  }
+
+  /**
+   * Sets up the "try a display name" box
+   */
+  setupRuleTester() {
+    const testerInput = document.getElementById('tester-input');
+    if (!testerInput) return;
+
+    this.addTrackedEventListener(testerInput, 'input', () => this.updateRuleTester());
+  }
+
+  /**
+   * Shows how the current rules classify the tester's display name
+   */
+  updateRuleTester() {
+    const testerInput = document.getElementById('tester-input');
+    const resultElement = document.getElementById('tester-result');
+    if (!testerInput || !resultElement) return;
+
+    const displayName = testerInput.value.trim();
+    if (!displayName) {
+      resultElement.textContent = '';
+      return;
+    }
+
+    const { environment, source } = EnvironmentClassifier.classify({ displayName }, this.environmentRules);
+    resultElement.textContent = environment
+      ? `${EnvironmentClassifier.getLabel(environment)} (${source === 'custom' ? 'custom rule' : 'built-in'})`
+      : 'Unclassified';
+  }
+
+  /**
+   * Adds a custom environment rule
+   * @param {Object} rule - { pattern, field, key, environment }
+   * @returns {Promise<boolean>} Success status
+   */
+  async addEnvironmentRule(rule) {
+    if (!EnvironmentClassifier.isValidRule(rule)) {
+      this.showStatus('Invalid rule: check the regular expression and key', 'error');
+      return false;
+    }
+    const kind = rule.field === 'label' ? 'labels' : 'annotations';
+    if ((rule.field === 'label' || rule.field === 'annotation') && !SecurityUtils.isKeptTenantMetadataKey(kind, rule.key)) {
+      this.showStatus(`Only these ${rule.field} keys are stored: ${SecurityUtils.TENANT_METADATA_KEYS[kind].join(', ')}`, 'error');
+      return false;
+    }
+    if (this.environmentRules.length >= EnvironmentClassifier.MAX_RULES) {
+      this.showStatus(`At most ${EnvironmentClassifier.MAX_RULES} rules are supported`, 'error');
+      return false;
+    }
+
+    return await this.saveEnvironmentRules([...this.environmentRules, rule]);
+  }
+
+  /**
+   * Removes a custom environment rule
+   * @param {number} index - Rule position
+   * @returns {Promise<boolean>} Success status
+   */
+  async removeEnvironmentRule(index) {
+    return await this.saveEnvironmentRules(this.environmentRules.filter((_, i) => i !== index));
+  }
+
+  /**
+   * Moves a rule up or down (rules are evaluated in order)
+   * @param {number} index - Rule position
+   * @param {number} offset - -1 to move up, 1 to move down
+   * @returns {Promise<boolean>} Success status
+   */
+  async moveEnvironmentRule(index, offset) {
+    const target = index + offset;
+    if (target < 0 || target >= this.environmentRules.length) return false;
+
+    const rules = [...this.environmentRules];
+    [rules[index], rules[target]] = [rules[target], rules[index]];
+    return await this.saveEnvironmentRules(rules);
+  }
+
+  /**
+   * Saves the rules and reclassifies every stored tenant with them
+   * @param {Array} rules - Complete rule list
+   * @returns {Promise<boolean>} Success status
+   */
+  async saveEnvironmentRules(rules) {
+    try {
+      const saved = await preferencesManager.set('environmentRules', rules);
+      if (!saved) {
+        throw new Error('Rules failed validation');
+      }
+      this.environmentRules = rules;
+      this.renderEnvironmentRules();
+
+      const organizations = await storageManager.getOrganizations();
+      const changed = EnvironmentClassifier.applyToOrganizations(organizations, rules, (tenant, compiled) =>
+        productAdapterRegistry.getForTenant(tenant).classifyEnvironment(tenant, compiled));
+      if (changed > 0 && !(await storageManager.saveOrganizations(organizations))) {
+        throw new Error('Failed to save reclassified tenants');
+      }
+
+      this.showStatus(`Rules saved. ${changed} tenant${changed === 1 ? '' : 's'} reclassified`);
+      return true;
+    } catch (error) {
+      this.logger.error('Error saving environment rules', error);
+      this.showStatus('Failed to save environment rules', 'error');
+      return false;
+    }
+  }
+}
+
+// Initialize when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+  new OptionsManager();
+});
@@ -7,8 +7,32 @@ class OrganizationManager {
   constructor() {
     this.organizations = [];
     this.currentUrl = "";
+    this.searchQuery = "";
+    this.searchTerms = [];
+    this.sortBy = 'name';
+    this.groupBy = 'organization';
+    this.recentEntries = [];
+    this.frecencyScores = { organizations: {}, tenants: {} };
+    this.currentTabId = null;
+    this.currentWindowId = null;
+    this.currentMatch = null;
+    this.currentOrgId = null;
+    this.openMode = 'foreground';
+    this.tabReuse = 'new';
+    this.groupTabs = false;
+    this.bulkOpenWarningThreshold = 10;
+    this.hideInactiveTenants = false;
+    this.tenantDetailFields = DataProcessor.TENANT_DETAIL_FIELDS.map(field => field.key);
+    this.openTenantDetails = new Set(); // 'orgId|tenantId' of tenants whose details drawer is open
+    this.openOrganizationInfo = new Set(); // IDs of organizations whose info panel is open
+    this.openTabCounts = {};
     this.logger = Logger.createContextLogger('OrganizationManager');
     this.eventCleanupCallbacks = [];
+
+    // The same UI runs in the side panel, which stays open and follows the active tab
+    this.isSidePanel = document.body.classList.contains('side-panel');
+    this.pendingRefresh = {};
+    this.refreshTimer = null;
     
     // Set up cleanup on window close
     this.setupCleanup();
@@ -157,14 +181,519 @@ class OrganizationManager {
   async init() {
     try {
       await this.loadOrganizations();
+      await this.loadUsage();
       await this.getCurrentUrl();
+      await this.loadOpenTabCounts();
+      this.setupSearch();
+      await this.setupViewControls();
+      this.setupRecentSection();
+      this.setupKeyboardNavigation();
+      this.setupMiddleClick();
       this.renderOrganizations();
+
+      // Views handed over by keyboard commands and context menus are meant for the popup
+      const pendingView = this.isSidePanel ? null : await this.readPendingView();
+      await this.setupEnvironmentSwitcher(pendingView);
+      if (this.isSidePanel) {
+        await this.setupSidePanel();
+      } else {
+        this.setupSidePanelButton();
+      }
+      if (pendingView && pendingView.view === 'reveal') {
+        this.revealTenant(pendingView);
+      } else if (pendingView && pendingView.view === 'activate') {
+        await this.activatePendingItem(pendingView);
+      }
     } catch (error) {
       this.logger.error("Initialization failed", error);
       this.showError("Failed to load organizations");
     }
   }
 
+  /**
+   * Wires up the search box to re-render the list as the user types
+   */
+  setupSearch() {
+    const searchInput = document.getElementById('search-input');
+    if (!searchInput) return;
+
+    this.addTrackedEventListener(searchInput, 'input', () => {
+      this.searchQuery = searchInput.value;
+      this.renderOrganizations();
+    });
+
+    this.addTrackedEventListener(searchInput, 'keydown', (e) => {
+      if (e.key === 'Escape' && searchInput.value) {
+        // Clear the search instead of closing the popup
+        e.preventDefault();
+        searchInput.value = '';
+        this.searchQuery = '';
+        this.renderOrganizations();
+      }
+    });
+
+    searchInput.focus();
+  }
+
+  /**
+   * Loads usage history used for the Recent section and frecency ordering
+   */
+  async loadUsage() {
+    try {
+      const history = await usageManager.getHistory();
+      this.recentEntries = [...history].sort((a, b) => new Date(b.lastUsed) - new Date(a.lastUsed));
+      this.frecencyScores = UsageManager.aggregateScores(history);
+    } catch (error) {
+      this.logger.warn('Failed to load usage history', error);
+      this.recentEntries = [];
+      this.frecencyScores = { organizations: {}, tenants: {} };
+    }
+  }
+
+  /**
+   * Counts the open Sitecore tabs of each organization, shown on the org rows
+   */
+  async loadOpenTabCounts() {
+    const tabs = await tabManager.getSitecoreTabs();
+    this.openTabCounts = tabManager.countTabsByOrganization(tabs, this.organizations);
+  }
+
+  /**
+   * Sets up the Recent section's clear button
+   */
+  setupRecentSection() {
+    const clearButton = document.getElementById('clear-recent-btn');
+    if (!clearButton) return;
+
+    this.addTrackedEventListener(clearButton, 'click', async () => {
+      await this.clearRecent();
+    });
+  }
+
+  /**
+   * Sets up the group-by and sort selectors and restores the saved preferences
+   */
+  async setupViewControls() {
+    const preferences = await preferencesManager.getAll();
+    this.sortBy = preferences.sortBy;
+    this.groupBy = preferences.groupBy;
+    this.openMode = preferences.openMode;
+    this.tabReuse = preferences.tabReuse;
+    this.groupTabs = preferences.groupTabsByOrganization;
+    this.bulkOpenWarningThreshold = preferences.bulkOpenWarningThreshold;
+    this.tenantDetailFields = preferences.tenantDetailFields;
+    this.hideInactiveTenants = preferences.hideInactiveTenants;
+
+    const controls = [
+      { element: document.getElementById('sort-select'), key: 'sortBy' },
+      { element: document.getElementById('group-select'), key: 'groupBy' }
+    ];
+
+    controls.forEach(({ element, key }) => {
+      if (!element) return;
+
+      element.value = this[key];
+      this.addTrackedEventListener(element, 'change', async () => {
+        this[key] = element.value;
+        this.renderOrganizations();
+        await preferencesManager.set(key, this[key]);
+      });
+    });
+
+    const optionsButton = document.getElementById('open-options-btn');
+    if (optionsButton) {
+      this.addTrackedEventListener(optionsButton, 'click', () => {
+        chrome.runtime.openOptionsPage();
+      });
+    }
+
+    const dashboardButton = document.getElementById('open-dashboard-btn');
+    if (dashboardButton) {
+      this.addTrackedEventListener(dashboardButton, 'click', async () => {
+        await chrome.tabs.create({ url: chrome.runtime.getURL('ui/dashboard.html') });
+        this.closeView();
+      });
+    }
+  }
+
+  /**
+   * Reads (and clears) the view requested by whatever opened the popup,
+   * e.g. a keyboard command or the "Show in Quicklinks" context menu
+   * @returns {Promise<Object|null>} { view, orgId, tenantId } or null for the default view
+   */
+  async readPendingView() {
+    try {
+      const viewKey = CONFIG.get('STORAGE.POPUP_VIEW_KEY');
+      const pendingView = (await chrome.storage.session.get(viewKey))[viewKey] || null;
+      if (!pendingView) return null;
+
+      await chrome.storage.session.remove(viewKey);
+      // Left over from an open that failed; the user opened the popup normally since
+      const maxAge = CONFIG.get('TIMEOUTS.POPUP_VIEW_MAX_AGE', 5000);
+      if (!pendingView.requestedAt || Date.now() - pendingView.requestedAt > maxAge) {
+        return null;
+      }
+      return pendingView;
+    } catch (error) {
+      this.logger.warn('Failed to read the requested popup view', error);
+      return null;
+    }
+  }
+
+  /**
+   * Expands the organization list down to a tenant, then highlights and focuses it
+   * @param {Object} target - { orgId, tenantId, notice } (IDs are null when the page is not a saved tenant)
+   * @returns {boolean} Whether the tenant was found
+   */
+  revealTenant({ orgId, tenantId, notice = null }) {
+    const tenantItem = tenantId
+      ? document.querySelector(`#org-list .tenant-item[data-org-id="${CSS.escape(orgId)}"][data-tenant-id="${CSS.escape(tenantId)}"]`)
+      : null;
+    if (notice) {
+      this.showNotification(notice.message, notice.type);
+    }
+    if (!tenantItem) {
+      if (!notice) {
+        this.showError('This page is not a saved tenant');
+      }
+      return false;
+    }
+
+    this.expandAncestors(tenantItem);
+    tenantItem.classList.add('revealed');
+    this.focusNavItem(tenantItem.querySelector('.tenant-name-container'));
+    return true;
+  }
+
+  /**
+   * Expands the organizations and product groups an element sits in
+   * @param {HTMLElement} element - Element in the organization list
+   */
+  expandAncestors(element) {
+    for (let ancestor = element.parentElement; ancestor; ancestor = ancestor.parentElement) {
+      if (ancestor.classList.contains('product-group')) {
+        this.toggleProductGroup(ancestor, true);
+      } else if (ancestor.classList.contains('org-item')) {
+        ancestor.classList.add('expanded');
+      }
+    }
+  }
+
+  /**
+   * Opens a pinned item, environment switch or address bar entry that the background handed over
+   * to the popup (production items that need confirming), applying the popup's usual checks
+   * @param {Object} target - { section: 'pinned', 'switch' or 'address-bar', orgId, tenantId, actionName, disposition }
+   * @returns {Promise<boolean>} Whether the item was found
+   */
+  async activatePendingItem({ section, orgId, tenantId = null, actionName = null, disposition = this.openMode }) {
+    if (section === 'address-bar') {
+      // Address bar entries can be any stored item, so open it through a detached launch item
+      const resolved = DataProcessor.resolveLaunchItem(this.organizations, { orgId, tenantId, actionName });
+      if (!resolved || !resolved.url) return false;
+
+      await this.openTenant(this.createLaunchItemElement(resolved, 'address-bar'), { disposition });
+      return true;
+    }
+
+    const selector = section === 'switch' ? '#switch-list .switch-item' : '#pinned-list .launch-item';
+    const item = Array.from(document.querySelectorAll(selector)).find(element =>
+      element.dataset.orgId === orgId
+      && (element.dataset.tenantId || null) === tenantId
+      && (element.dataset.actionName || null) === actionName);
+    if (!item) return false;
+
+    if (section === 'switch') {
+      this.toggleEnvironmentSwitcher(true);
+    }
+    this.focusNavItem(item);
+    await this.activateNavItem(item);
+    return true;
+  }
+
+  /**
+   * Offers the current page in sibling environments when the active tab belongs to a saved tenant
+   * @param {Object} pendingView - View requested when the popup was opened (see readPendingView)
+   */
+  async setupEnvironmentSwitcher(pendingView = null) {
+    // A keyboard command may have opened the popup straight into the switcher
+    const openSwitcher = !!pendingView && pendingView.view === 'switch-environment';
+
+    const switchButton = document.getElementById('switch-env-btn');
+    if (!switchButton) return;
+
+    this.addTrackedEventListener(switchButton, 'click', () => this.toggleEnvironmentSwitcher());
+    if (!this.updateEnvironmentSwitcher()) {
+      if (openSwitcher) {
+        this.showNotification('This tab is not a saved tenant with other environments');
+      }
+      return;
+    }
+
+    if (openSwitcher) {
+      this.toggleEnvironmentSwitcher(true);
+    }
+  }
+
+  /**
+   * Re-renders the environment switcher for the current tab, showing its button only when there is somewhere to switch to
+   * @returns {boolean} Whether there is anything to switch to
+   */
+  updateEnvironmentSwitcher() {
+    const available = this.renderEnvironmentSwitcher();
+    document.getElementById('switch-env-btn').classList.toggle('hidden', !available);
+    if (!available) {
+      document.getElementById('switch-section').classList.add('hidden');
+    }
+    return available;
+  }
+
+  /**
+   * Renders the sibling environments of the current tab's tenant
+   * @returns {boolean} Whether there is anything to switch to
+   */
+  renderEnvironmentSwitcher() {
+    const listElement = document.getElementById('switch-list');
+    if (!listElement) return false;
+
+    listElement.innerHTML = '';
+    if (!this.currentMatch) return false;
+
+    const { org, group, tenant: currentTenant } = this.currentMatch;
+    const siblings = TenantLookup.getSiblingTenants(this.currentMatch)
+      .filter(tenant => !this.hideInactiveTenants || DataProcessor.isTenantActive(tenant));
+    siblings.forEach(tenant => {
+      const url = TenantLookup.buildSiblingUrl(this.currentUrl, currentTenant, tenant);
+      if (!url) return;
+
+      const item = this.createLaunchItemElement({ type: 'tenant', org, group, tenant, url }, 'switch');
+      this.addTrackedEventListener(item, 'click', async (e) => {
+        await this.switchEnvironment(item, { disposition: this.getOpenDisposition(e, 'currentTab') });
+      });
+      listElement.appendChild(item);
+    });
+
+    return listElement.children.length > 0;
+  }
+
+  /**
+   * Shows or hides the environment switcher
+   * @param {boolean} show - Force a state (defaults to toggling)
+   */
+  toggleEnvironmentSwitcher(show = document.getElementById('switch-section').classList.contains('hidden')) {
+    const sectionElement = document.getElementById('switch-section');
+    sectionElement.classList.toggle('hidden', !show);
+
+    if (show) {
+      this.focusNavItem(sectionElement.querySelector('.nav-item'));
+    }
+  }
+
+  /**
+   * Opens the current page in a sibling environment, replacing the current tab by default
+   * @param {HTMLElement} item - Switcher item carrying the sibling URL
+   * @param {Object} options - Open options
+   * @param {string} options.disposition - Where to open (see getOpenDisposition), defaults to the current tab
+   */
+  async switchEnvironment(item, options = {}) {
+    const { disposition = 'currentTab' } = options;
+    const url = item.dataset.url;
+
+    if (!url || !SecurityUtils.isUrlSafeForNavigation(url)) {
+      this.logger.warn("Blocked unsafe URL for environment switch", { url });
+      this.showError("Invalid or unsafe URL blocked");
+      return;
+    }
+
+    try {
+      if (!(await this.confirmProductionNavigation(item))) {
+        return;
+      }
+      await this.recordNavigation(item);
+      await this.openUrl(url, { disposition, target: this.getNavigationTarget(item) });
+    } catch (error) {
+      this.logger.error("Error switching environment", error);
+      this.showError("Failed to switch environment");
+    }
+  }
+
+  /**
+   * Shows the button that moves the popup into the side panel of the current window
+   */
+  setupSidePanelButton() {
+    const sidePanelButton = document.getElementById('open-side-panel-btn');
+    if (!sidePanelButton || !chrome.sidePanel || this.currentWindowId === null) return;
+
+    sidePanelButton.classList.remove('hidden');
+    this.addTrackedEventListener(sidePanelButton, 'click', async () => {
+      try {
+        // Called straight from the click: opening the side panel needs a user gesture
+        await chrome.sidePanel.open({ windowId: this.currentWindowId });
+        window.close();
+      } catch (error) {
+        this.logger.error('Failed to open the side panel', error);
+        this.showError('Failed to open the side panel');
+      }
+    });
+  }
+
+  /**
+   * Keeps the side panel in step with its window: the active tab decides the current
+   * organization and tenant, and new captures, renames and usage show up as they are stored
+   */
+  async setupSidePanel() {
+    const windowId = (await chrome.windows.getCurrent()).id;
+    const isOwnWindow = id => id === windowId;
+
+    const onActivated = ({ windowId: activatedWindowId }) => {
+      if (isOwnWindow(activatedWindowId)) {
+        this.scheduleSidePanelRefresh({ context: true });
+      }
+    };
+    const onUpdated = (tabId, changeInfo, tab) => {
+      if (changeInfo.url && tab.active && isOwnWindow(tab.windowId)) {
+        this.scheduleSidePanelRefresh({ context: true });
+      } else if (changeInfo.url) {
+        // Other tabs only change the open tab counts
+        this.scheduleSidePanelRefresh({});
+      }
+    };
+    const onRemoved = () => this.scheduleSidePanelRefresh({});
+    const onStorageChanged = (changes, areaName) => {
+      if (areaName !== 'local') return;
+      if (changes[CONFIG.get('STORAGE.ORGANIZATIONS_KEY')]) {
+        this.scheduleSidePanelRefresh({ organizations: true });
+      }
+      if (changes[CONFIG.get('STORAGE.USAGE_HISTORY_KEY')]) {
+        this.scheduleSidePanelRefresh({ usage: true });
+      }
+    };
+
+    chrome.tabs.onActivated.addListener(onActivated);
+    chrome.tabs.onUpdated.addListener(onUpdated);
+    chrome.tabs.onRemoved.addListener(onRemoved);
+    chrome.storage.onChanged.addListener(onStorageChanged);
+    this.eventCleanupCallbacks.push(() => {
+      chrome.tabs.onActivated.removeListener(onActivated);
+      chrome.tabs.onUpdated.removeListener(onUpdated);
+      chrome.tabs.onRemoved.removeListener(onRemoved);
+      chrome.storage.onChanged.removeListener(onStorageChanged);
+      clearTimeout(this.refreshTimer);
+    });
+
+    this.showCurrentTenant();
+  }
+
+  /**
+   * Queues a side panel refresh, merging bursts of tab and storage events into one render
+   * @param {Object} reasons - What changed: { context, organizations, usage }
+   */
+  scheduleSidePanelRefresh(reasons) {
+    Object.assign(this.pendingRefresh, reasons);
+    clearTimeout(this.refreshTimer);
+    this.refreshTimer = setTimeout(() => this.refreshSidePanel(), CONFIG.get('TIMEOUTS.SIDE_PANEL_REFRESH', 250));
+  }
+
+  /**
+   * Reloads whatever changed and re-renders the side panel
+   * @returns {Promise<void>}
+   */
+  async refreshSidePanel() {
+    // Re-rendering would throw away a name being edited, so wait until it is saved or cancelled
+    if (document.querySelector('.editing')) {
+      this.scheduleSidePanelRefresh({});
+      return;
+    }
+
+    const { context, organizations, usage } = this.pendingRefresh;
+    this.pendingRefresh = {};
+
+    try {
+      if (organizations) {
+        await this.loadOrganizations();
+      }
+      if (usage) {
+        await this.loadUsage();
+      }
+      await this.getCurrentUrl();
+      await this.loadOpenTabCounts();
+      this.renderOrganizations();
+      this.updateEnvironmentSwitcher();
+      if (context) {
+        this.showCurrentTenant();
+      }
+    } catch (error) {
+      this.logger.error('Failed to refresh the side panel', error);
+    }
+  }
+
+  /**
+   * Expands the organization list down to the current tab's tenant and scrolls it into view,
+   * leaving keyboard focus where it is
+   */
+  showCurrentTenant() {
+    const tenantItem = document.querySelector('#org-list .tenant-item.current');
+    if (!tenantItem) return;
+
+    this.expandAncestors(tenantItem);
+    tenantItem.scrollIntoView({ block: 'nearest' });
+  }
+
+  /**
+   * Sets element text, wrapping characters that match the current search terms in <mark>
+   * @param {HTMLElement} element - Element to populate
+   * @param {string} text - Decoded display text
+   */
+  setHighlightedText(element, text) {
+    element.textContent = '';
+
+    const matched = new Set();
+    this.searchTerms.forEach(term => {
+      const match = DataProcessor.fuzzyMatch(text, term);
+      if (match) {
+        match.indices.forEach(index => matched.add(index));
+      }
+    });
+
+    if (matched.size === 0) {
+      element.textContent = text;
+      return;
+    }
+
+    let buffer = '';
+    let bufferIsMatch = false;
+    const flush = () => {
+      if (!buffer) return;
+      if (bufferIsMatch) {
+        const mark = document.createElement('mark');
+        mark.className = 'search-highlight';
+        mark.textContent = buffer;
+        element.appendChild(mark);
+      } else {
+        element.appendChild(document.createTextNode(buffer));
+      }
+      buffer = '';
+    };
+
+    for (let i = 0; i < text.length; i++) {
+      const isMatch = matched.has(i);
+      if (isMatch !== bufferIsMatch) {
+        flush();
+        bufferIsMatch = isMatch;
+      }
+      buffer += text.charAt(i);
+    }
+    flush();
+  }
+
+  /**
+   * Reads organizations from storage, leaving the account ID and creator encrypted
+   * (when storage encryption is on) until the user reveals them in the info panel
+   * @returns {Promise<Array>} Organizations
+   */
+  async readOrganizations() {
+    return await storageManager.getOrganizations({ deferredFields: StorageSecurityManager.ON_DEMAND_FIELDS });
+  }
+
   /**
    * Loads organizations from Chrome storage
    * @returns {Promise<void>}
@@ -172,7 +701,7 @@ class OrganizationManager {
   async loadOrganizations() {
     try {
       // Use shared storage manager
-      this.organizations = await storageManager.getOrganizations();
+      this.organizations = await this.readOrganizations();
       this.logger.debug(`Loaded ${this.organizations.length} organizations`);
     } catch (error) {
       const recovered = await errorHandler.handleError(error, 'popup_load_organizations', { 
@@ -197,6 +726,8 @@ class OrganizationManager {
         'getCurrentUrl'
       );
       this.currentUrl = tab?.url || "";
+      this.currentTabId = tab?.id ?? null;
+      this.currentWindowId = tab?.windowId ?? null;
     } catch (error) {
       const recovered = await errorHandler.handleError(error, 'get_current_url', {}, async () => {
         this.currentUrl = "";
@@ -206,6 +737,16 @@ class OrganizationManager {
         this.currentUrl = "";
       }
     }
+
+    this.updateCurrentContext();
+  }
+
+  /**
+   * Works out the saved organization and tenant the current tab belongs to
+   */
+  updateCurrentContext() {
+    this.currentMatch = TenantLookup.findTenant(this.organizations, TenantLookup.parseUrl(this.currentUrl));
+    this.currentOrgId = TabManager.getOrganizationId(this.currentUrl, this.organizations);
   }
 
   /**
@@ -264,6 +805,8 @@ class OrganizationManager {
       if (confirm(`Delete "${orgToDelete.name}"?`)) {
         this.organizations = this.organizations.filter((org) => org.id !== id);
         await this.saveOrganizations();
+        await usageManager.removeOrganization(id);
+        this.recentEntries = this.recentEntries.filter(entry => entry.orgId !== id);
         this.renderOrganizations();
         this.showSuccess(`"${orgToDelete.name}" deleted`);
       }
@@ -342,25 +885,109 @@ class OrganizationManager {
     return 0;
   }
 
+  /**
+   * Creates a pin toggle icon
+   * @param {boolean} isPinned - Whether the item is currently pinned
+   * @param {string} className - Additional class names
+   * @returns {SVGElement} Pin icon
+   */
+  createPinIcon(isPinned, className = '') {
+    const pinIcon = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+    pinIcon.setAttribute('class', `pin-icon ${className}${isPinned ? ' pinned' : ''}`.replace(/\s+/g, ' ').trim());
+    pinIcon.setAttribute('viewBox', '0 0 24 24');
+    pinIcon.setAttribute('title', isPinned ? 'Unpin' : 'Pin to top');
+    
+    const pinPath = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+    pinPath.setAttribute('d', 'M16,12V4H17V2H7V4H8V12L6,14V16H11.2V22H12.8V16H18V14L16,12Z');
+    pinIcon.appendChild(pinPath);
+    return pinIcon;
+  }
+
+  /**
+   * Creates the badge naming the state of a tenant that is not active
+   * @param {Object} stateInfo - { label, description } from DataProcessor.getTenantStateInfo
+   * @returns {HTMLElement} Badge element
+   */
+  createTenantStateBadge(stateInfo) {
+    const badge = document.createElement('span');
+    badge.className = 'tenant-state-badge';
+    badge.textContent = stateInfo.label;
+    badge.title = stateInfo.description;
+    return badge;
+  }
+
+  /**
+   * Creates a coloured badge for a tenant environment
+   * @param {string} environment - Normalized environment (see EnvironmentClassifier)
+   * @returns {HTMLElement} Badge element
+   */
+  createEnvironmentBadge(environment) {
+    const badge = document.createElement('span');
+    badge.className = `env-badge env-${environment}`;
+    badge.textContent = EnvironmentClassifier.getLabel(environment, true);
+    badge.title = `${EnvironmentClassifier.getLabel(environment)} environment`;
+    return badge;
+  }
+
+  /**
+   * Creates the per-organization production confirmation toggle
+   * @param {boolean} isEnabled - Whether production links ask for confirmation
+   * @returns {SVGElement} Toggle icon
+   */
+  createProductionConfirmIcon(isEnabled) {
+    const icon = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+    icon.setAttribute('class', `confirm-prod-icon${isEnabled ? ' active' : ''}`);
+    icon.setAttribute('viewBox', '0 0 24 24');
+    icon.setAttribute('title', isEnabled
+      ? 'Production links ask for confirmation (click to turn off)'
+      : 'Ask for confirmation before opening production tenants');
+
+    const path = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+    path.setAttribute('d', 'M12,1L3,5V11C3,16.55 6.84,21.74 12,23C17.16,21.74 21,16.55 21,11V5L12,1M11,7H13V13H11V7M11,15H13V17H11V15Z');
+    icon.appendChild(path);
+    return icon;
+  }
+
+  /**
+   * Creates the "open all tenants" icon used on organization and product group headers
+   * @returns {SVGElement} Icon element
+   */
+  createOpenAllIcon() {
+    const icon = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+    icon.setAttribute('class', 'open-all-icon');
+    icon.setAttribute('viewBox', '0 0 24 24');
+    icon.setAttribute('title', 'Open all tenants');
+
+    const path = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+    path.setAttribute('d', 'M19,19H8V5H19M19,3H8A2,2 0 0,0 6,5V19A2,2 0 0,0 8,21H19A2,2 0 0,0 21,19V5A2,2 0 0,0 19,3M2,7V21A2,2 0 0,0 4,23H18V21H4V7H2Z');
+    icon.appendChild(path);
+    return icon;
+  }
+
   /**
    * Creates a DOM element for an organization item
    * @param {Object} org - Organization object
    * @param {boolean} isCurrent - Whether this is the current organization
+   * @param {Object} searchResult - Matching groups and expansion state when searching (optional)
    * @returns {HTMLElement} Organization list item element
    */
-  createOrganizationElement(org, isCurrent) {
+  createOrganizationElement(org, isCurrent, searchResult = null) {
     // Create list item
     const li = document.createElement('li');
     li.className = 'org-item';
     if (this.hasSubsites(org)) {
       li.className += ' has-subsites';
     }
+    if (searchResult && searchResult.expanded) {
+      li.classList.add('expanded');
+    }
     li.dataset.url = org.url;
     li.dataset.orgId = org.id;
 
     // Create header container
     const headerDiv = document.createElement('div');
-    headerDiv.className = 'org-header';
+    headerDiv.className = 'org-header nav-item';
+    headerDiv.tabIndex = -1;
 
     // Add expand icon if org has subsites
     if (this.hasSubsites(org)) {
@@ -400,9 +1027,12 @@ class OrganizationManager {
     const nameSpan = document.createElement('span');
     nameSpan.className = org.customName ? 'name-text custom' : 'name-text';
     const displayName = SecurityUtils.decodeHtmlEntities(org.customName || org.name);
-    nameSpan.textContent = displayName;
+    this.setHighlightedText(nameSpan, displayName);
     nameSpan.title = displayName; // Add tooltip for full name
     nameDiv.appendChild(nameSpan);
+
+    // Add partner/customer and MFA badges
+    this.createOrganizationBadges(org).forEach(badge => nameDiv.appendChild(badge));
     
     // Add edit icon
     const editIcon = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
@@ -415,6 +1045,29 @@ class OrganizationManager {
     editIcon.appendChild(editPath);
     nameDiv.appendChild(editIcon);
     
+    // Add pin icon
+    nameDiv.appendChild(this.createPinIcon(!!org.pinnedAt, 'org-pin-icon'));
+
+    // Add production confirmation toggle
+    nameDiv.appendChild(this.createProductionConfirmIcon(!!org.confirmProduction));
+
+    // Add bulk open for orgs with tenants
+    if (DataProcessor.countTenants(org) > 0) {
+      nameDiv.appendChild(this.createOpenAllIcon());
+    }
+
+    // Add info icon (toggles the organization info panel)
+    const infoOpen = this.openOrganizationInfo.has(org.id);
+    const infoIcon = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+    infoIcon.setAttribute('class', infoOpen ? 'details-icon org-info-icon open' : 'details-icon org-info-icon');
+    infoIcon.setAttribute('viewBox', '0 0 24 24');
+    infoIcon.setAttribute('title', 'Organization info');
+
+    const infoPath = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+    infoPath.setAttribute('d', 'M11 7h2v2h-2zm0 4h2v6h-2zm1-9C6.48 2 2 6.48 2 12s4.48 10 10 10 10-4.48 10-10S17.52 2 12 2zm0 18c-4.41 0-8-3.59-8-8s3.59-8 8-8 8 3.59 8 8-3.59 8-8 8z');
+    infoIcon.appendChild(infoPath);
+    nameDiv.appendChild(infoIcon);
+    
     // Add delete icon next to edit icon
     const deleteIcon = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
     deleteIcon.setAttribute('class', 'delete-icon');
@@ -445,6 +1098,16 @@ class OrganizationManager {
       nameDiv.appendChild(subsiteCount);
     }
 
+    // Add open tab count if any of the org's pages are open
+    const openTabCount = this.openTabCounts[org.id] || 0;
+    if (openTabCount > 0) {
+      const tabCount = document.createElement('span');
+      tabCount.className = 'tab-count';
+      tabCount.textContent = `${openTabCount} ⧉`;
+      tabCount.title = `${openTabCount} open tab${openTabCount === 1 ? '' : 's'}`;
+      nameDiv.appendChild(tabCount);
+    }
+
     // Add last updated info if available
     if (false && org.lastUpdated) {
       const metaDiv = document.createElement('div');
@@ -470,15 +1133,30 @@ class OrganizationManager {
     // Add header to list item
     li.appendChild(headerDiv);
 
+    // Keep the info panel open across re-renders
+    if (infoOpen) {
+      li.appendChild(this.createOrganizationInfoElement(org));
+    }
+
     // Create subsites container if there are subsites
     if (this.hasSubsites(org)) {
       const subsitesContainer = document.createElement('div');
       subsitesContainer.className = 'subsites-container';
 
+      // Handle search results (only matching groups and tenants)
+      if (searchResult) {
+        searchResult.groups.forEach(({ group, tenants, expanded }) => {
+          const groupElement = this.createProductGroupElement(group, { org, tenants, expanded });
+          subsitesContainer.appendChild(groupElement);
+        });
+        (searchResult.subsites || []).forEach(subsite => {
+          subsitesContainer.appendChild(this.createSubsiteElement(subsite));
+        });
+      }
       // Handle new grouped format
-      if (org.productGroups && org.productGroups.length > 0) {
+      else if (org.productGroups && org.productGroups.length > 0) {
         org.productGroups.forEach(group => {
-          const groupElement = this.createProductGroupElement(group);
+          const groupElement = this.createProductGroupElement(group, { org });
           subsitesContainer.appendChild(groupElement);
         });
       } 
@@ -497,33 +1175,200 @@ class OrganizationManager {
   }
 
   /**
-   * Creates a DOM element for a product group
-   * @param {Object} group - Product group object
-   * @returns {HTMLElement} Product group element
+   * Creates the badges shown next to an organization's name
+   * @param {Object} org - Organization
+   * @returns {Array<HTMLElement>} Org type badge (partner or customer) and MFA badge, when they apply
    */
-  createProductGroupElement(group) {
-    const groupContainer = document.createElement('div');
-    groupContainer.className = 'product-group collapsed'; // Start collapsed
-    groupContainer.dataset.productName = group.productName;
+  createOrganizationBadges(org) {
+    const badges = [];
+
+    const type = String(org.type || '').toLowerCase();
+    if (DataProcessor.ORG_TYPE_LABELS[type]) {
+      const typeBadge = document.createElement('span');
+      typeBadge.className = `org-badge org-badge-${type}`;
+      typeBadge.textContent = type.charAt(0).toUpperCase() + type.slice(1);
+      typeBadge.title = `${typeBadge.textContent} organization`;
+      badges.push(typeBadge);
+    }
 
-    // Create product header
-    const headerDiv = document.createElement('div');
-    headerDiv.className = 'product-header';
+    if (org.mfaRequired === true) {
+      const mfaBadge = document.createElement('span');
+      mfaBadge.className = 'org-badge org-badge-mfa';
+      mfaBadge.textContent = 'MFA';
+      mfaBadge.title = 'Multi-factor authentication required';
+      badges.push(mfaBadge);
+    }
 
-    // Add expand icon for product group
-    const expandSvg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
-    expandSvg.setAttribute('class', 'product-expand-icon');
-    expandSvg.setAttribute('viewBox', '0 0 24 24');
-    
-    const expandPath = document.createElementNS('http://www.w3.org/2000/svg', 'path');
-    expandPath.setAttribute('d', 'M8.59,16.58L13.17,12L8.59,7.41L10,6L16,12L10,18L8.59,16.58Z');
-    expandSvg.appendChild(expandPath);
-    headerDiv.appendChild(expandSvg);
+    return badges;
+  }
 
-    // Add product icon
-    if (group.iconSrc) {
-      if (group.iconSrc.startsWith('http')) {
-        const img = document.createElement('img');
+  /**
+   * Creates the info panel of an organization: type, region, MFA and, on request, account and creator.
+   * The account ID and creator are loaded still encrypted (when encryption is on) and are decrypted
+   * only when the user asks to see them.
+   * @param {Object} org - Organization
+   * @returns {HTMLElement} Panel element
+   */
+  createOrganizationInfoElement(org) {
+    const panel = document.createElement('div');
+    panel.className = 'org-info-panel';
+    panel.dataset.orgId = org.id;
+
+    // Clicks inside the panel must not open the organization
+    panel.addEventListener('click', (e) => e.stopPropagation());
+
+    const type = String(org.type || '').toLowerCase();
+    const rows = [
+      { label: 'Organization ID', value: org.id },
+      { label: 'Type', value: type ? type.charAt(0).toUpperCase() + type.slice(1) : null },
+      { label: 'Default region', value: org.region ? SecurityUtils.decodeHtmlEntities(org.region) : null },
+      { label: 'MFA', value: org.mfaRequired === undefined ? null : (org.mfaRequired ? 'Required' : 'Not required') },
+      { label: 'Account ID', field: 'accountId' },
+      { label: 'Created by', field: 'createdBy' }
+    ];
+
+    rows.forEach(({ label, value, field }) => {
+      const row = document.createElement('div');
+      row.className = 'tenant-detail-row';
+
+      const labelSpan = document.createElement('span');
+      labelSpan.className = 'tenant-detail-label';
+      labelSpan.textContent = label;
+      row.appendChild(labelSpan);
+
+      const valueSpan = document.createElement('span');
+      valueSpan.className = 'tenant-detail-value';
+      row.appendChild(valueSpan);
+
+      const button = document.createElement('button');
+      button.className = 'tenant-detail-copy';
+      row.appendChild(button);
+
+      const showValue = (text) => {
+        valueSpan.textContent = text;
+        valueSpan.title = text;
+        button.textContent = 'Copy';
+        button.title = `Copy ${label}`;
+        button.onclick = async () => {
+          await this.copyText(text, label);
+        };
+      };
+
+      if (field) {
+        // Sensitive: masked until revealed
+        valueSpan.textContent = '••••••';
+        valueSpan.classList.add('masked');
+        button.textContent = 'Show';
+        button.title = `Show ${label}`;
+        button.onclick = async () => {
+          const revealed = await this.readOrganizationField(org.id, field);
+          if (revealed === null) {
+            valueSpan.textContent = 'Not captured';
+            valueSpan.classList.remove('masked');
+            button.remove();
+            return;
+          }
+          valueSpan.classList.remove('masked');
+          showValue(revealed);
+        };
+      } else if (value) {
+        showValue(value);
+      } else {
+        valueSpan.textContent = 'Not captured';
+        button.remove();
+      }
+
+      panel.appendChild(row);
+    });
+
+    return panel;
+  }
+
+  /**
+   * Reads one sensitive field of a loaded organization, decrypting just that value
+   * @param {string} orgId - Organization ID
+   * @param {string} field - Field name (one of StorageSecurityManager.ON_DEMAND_FIELDS)
+   * @returns {Promise<string|null>} Decoded value, or null when it was not captured or can't be read
+   */
+  async readOrganizationField(orgId, field) {
+    const org = this.organizations.find(o => o.id === orgId);
+    try {
+      const value = org ? await storageSecurityManager.decryptData(org[field]) : null;
+      if (typeof value !== 'string' || !value) {
+        return null;
+      }
+      return SecurityUtils.decodeHtmlEntities(value);
+    } catch (error) {
+      this.logger.error('Error decrypting organization details', error);
+      this.showError('Failed to read organization details');
+      return null;
+    }
+  }
+
+  /**
+   * Opens or closes an organization's info panel
+   * @param {HTMLElement} orgItem - Organization list item
+   */
+  toggleOrganizationInfo(orgItem) {
+    const orgId = orgItem.dataset.orgId;
+    const icon = orgItem.querySelector('.org-info-icon');
+    const existing = orgItem.querySelector(':scope > .org-info-panel');
+
+    if (existing) {
+      existing.remove();
+      this.openOrganizationInfo.delete(orgId);
+      icon.classList.remove('open');
+      return;
+    }
+
+    const org = this.organizations.find(o => o.id === orgId);
+    if (!org) {
+      this.showError('Organization not found');
+      return;
+    }
+
+    this.openOrganizationInfo.add(orgId);
+    icon.classList.add('open');
+    orgItem.querySelector(':scope > .org-header').after(this.createOrganizationInfoElement(org));
+  }
+
+  /**
+   * Creates a DOM element for a product group
+   * @param {Object} group - Product group object
+   * @param {Object} options - Render options
+   * @param {Object} options.org - Organization owning the group
+   * @param {Array} options.tenants - Subset of tenants to show (defaults to all)
+   * @param {boolean} options.expanded - Whether to start expanded
+   * @param {string} options.label - Header text (defaults to the product name)
+   * @returns {HTMLElement} Product group element
+   */
+  createProductGroupElement(group, options = {}) {
+    const { org, tenants = group.tenants, expanded = false, label = group.productName } = options;
+
+    const groupContainer = document.createElement('div');
+    groupContainer.className = expanded ? 'product-group expanded' : 'product-group collapsed'; // Start collapsed
+    groupContainer.dataset.productName = group.productName;
+    groupContainer.dataset.groupKey = `${org.id}|${group.productName}`;
+
+    // Create product header
+    const headerDiv = document.createElement('div');
+    headerDiv.className = 'product-header nav-item';
+    headerDiv.tabIndex = -1;
+
+    // Add expand icon for product group
+    const expandSvg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+    expandSvg.setAttribute('class', 'product-expand-icon');
+    expandSvg.setAttribute('viewBox', '0 0 24 24');
+    
+    const expandPath = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+    expandPath.setAttribute('d', 'M8.59,16.58L13.17,12L8.59,7.41L10,6L16,12L10,18L8.59,16.58Z');
+    expandSvg.appendChild(expandPath);
+    headerDiv.appendChild(expandSvg);
+
+    // Add product icon
+    if (group.iconSrc) {
+      if (group.iconSrc.startsWith('http')) {
+        const img = document.createElement('img');
         img.className = 'product-icon';
         img.src = group.iconSrc;
         img.alt = group.productName;
@@ -540,24 +1385,42 @@ class OrganizationManager {
     // Add product name
     const nameSpan = document.createElement('span');
     nameSpan.className = 'product-name';
-    nameSpan.textContent = SecurityUtils.decodeHtmlEntities(group.productName);
+    this.setHighlightedText(nameSpan, SecurityUtils.decodeHtmlEntities(label));
     headerDiv.appendChild(nameSpan);
 
     // Add tenant count
     const countSpan = document.createElement('span');
     countSpan.className = 'tenant-count';
-    countSpan.textContent = `(${group.tenants.length})`;
+    countSpan.textContent = `(${tenants.length})`;
     headerDiv.appendChild(countSpan);
 
+    if (tenants.length > 1) {
+      headerDiv.appendChild(this.createOpenAllIcon());
+    }
+
     groupContainer.appendChild(headerDiv);
 
     // Create tenants list (hidden by default)
     const tenantsList = document.createElement('div');
     tenantsList.className = 'tenants-list';
-    tenantsList.classList.add('hidden'); // Hidden by default
+    tenantsList.classList.add(expanded ? 'visible' : 'hidden'); // Hidden by default
+
+    // When ordering by frecency, the most used tenants come first (search results keep their ranking)
+    const orderedTenants = this.sortBy === 'frecency' && !this.searchQuery.trim()
+      ? [...tenants].sort((a, b) =>
+          (this.frecencyScores.tenants[b.id] || 0) - (this.frecencyScores.tenants[a.id] || 0))
+      : tenants;
+
+    // Products with their own grouping rules (e.g. XM Cloud projects) nest their tenants one level deeper
+    const projectGroups = productAdapterRegistry.getForGroup(group).groupTenants(group, orderedTenants);
+    if (projectGroups) {
+      projectGroups.projects.forEach(project => {
+        tenantsList.appendChild(this.createProjectElement(project, { org, group, expanded }));
+      });
+    }
 
-    group.tenants.forEach(tenant => {
-      const tenantElement = this.createTenantElement(tenant);
+    (projectGroups ? projectGroups.others : orderedTenants).forEach(tenant => {
+      const tenantElement = this.createTenantElement(tenant, org);
       tenantsList.appendChild(tenantElement);
     });
 
@@ -566,28 +1429,133 @@ class OrganizationManager {
     return groupContainer;
   }
 
+  /**
+   * Creates a DOM element for an XM Cloud project within a product group
+   * @param {Object} project - Project from the product adapter's groupTenants
+   * @param {Object} options - Render options
+   * @param {Object} options.org - Organization owning the project
+   * @param {Object} options.group - Product group the project belongs to
+   * @param {boolean} options.expanded - Whether to start expanded
+   * @returns {HTMLElement} Project element (a nested product group)
+   */
+  createProjectElement(project, options = {}) {
+    const { org, group, expanded = false } = options;
+
+    const projectContainer = document.createElement('div');
+    projectContainer.className = expanded ? 'product-group project-group expanded' : 'product-group project-group collapsed';
+    projectContainer.dataset.orgId = org.id;
+    projectContainer.dataset.productName = group.productName;
+    projectContainer.dataset.projectKey = project.key;
+    projectContainer.dataset.groupKey = `${org.id}|${group.productName}|${project.key}`;
+
+    const headerDiv = document.createElement('div');
+    headerDiv.className = 'product-header project-header nav-item';
+    headerDiv.tabIndex = -1;
+
+    const expandSvg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+    expandSvg.setAttribute('class', 'product-expand-icon');
+    expandSvg.setAttribute('viewBox', '0 0 24 24');
+
+    const expandPath = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+    expandPath.setAttribute('d', 'M8.59,16.58L13.17,12L8.59,7.41L10,6L16,12L10,18L8.59,16.58Z');
+    expandSvg.appendChild(expandPath);
+    headerDiv.appendChild(expandSvg);
+
+    // Add project name (custom name first)
+    const nameSpan = document.createElement('span');
+    nameSpan.className = project.customName ? 'product-name project-name custom' : 'product-name project-name';
+    const projectName = project.customName || project.name;
+    this.setHighlightedText(nameSpan, projectName);
+    nameSpan.title = project.customName ? `${projectName} (${project.name})` : projectName;
+    headerDiv.appendChild(nameSpan);
+
+    const countSpan = document.createElement('span');
+    countSpan.className = 'tenant-count';
+    countSpan.textContent = `(${project.environments.length})`;
+    headerDiv.appendChild(countSpan);
+
+    // Add edit icon
+    const editIcon = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+    editIcon.setAttribute('class', 'edit-icon project-edit-icon');
+    editIcon.setAttribute('viewBox', '0 0 24 24');
+    editIcon.setAttribute('title', 'Edit project name');
+
+    const editPath = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+    editPath.setAttribute('d', 'M3 17.25V21h3.75L17.81 9.94l-3.75-3.75L3 17.25zM20.71 7.04c.39-.39.39-1.02 0-1.41l-2.34-2.34c-.39-.39-1.02-.39-1.41 0l-1.83 1.83 3.75 3.75 1.83-1.83z');
+    editIcon.appendChild(editPath);
+    headerDiv.appendChild(editIcon);
+
+    headerDiv.appendChild(this.createPinIcon(!!project.pinnedAt, 'project-pin-icon'));
+
+    if (project.environments.length > 1) {
+      headerDiv.appendChild(this.createOpenAllIcon());
+    }
+
+    projectContainer.appendChild(headerDiv);
+
+    const environmentsList = document.createElement('div');
+    environmentsList.className = 'tenants-list';
+    environmentsList.classList.add(expanded ? 'visible' : 'hidden');
+
+    project.environments.forEach(({ tenant, environmentName }) => {
+      environmentsList.appendChild(this.createTenantElement(tenant, org, { label: environmentName }));
+    });
+
+    projectContainer.appendChild(environmentsList);
+
+    return projectContainer;
+  }
+
   /**
    * Creates a DOM element for a tenant within a product group
    * @param {Object} tenant - Tenant object
+   * @param {Object} org - Organization owning the tenant
+   * @param {Object} options - Render options
+   * @param {string} options.label - Name to show when the tenant has no custom name
+   *   (e.g. the environment name inside an XM Cloud project)
    * @returns {HTMLElement} Tenant element
    */
-  createTenantElement(tenant) {
+  createTenantElement(tenant, org, options = {}) {
+    const { label = null } = options;
     const div = document.createElement('div');
     div.className = 'tenant-item';
     
     div.dataset.tenantId = tenant.id;
+    div.dataset.orgId = org.id;
+    if (label) {
+      div.dataset.defaultName = label;
+    }
+    if (this.currentMatch && this.currentMatch.org.id === org.id && this.currentMatch.tenant.id === tenant.id) {
+      div.classList.add('current');
+    }
 
     // Add tenant name with edit functionality
     const nameContainer = document.createElement('div');
-    nameContainer.className = 'tenant-name-container';
+    nameContainer.className = 'tenant-name-container nav-item';
+    nameContainer.tabIndex = -1;
     nameContainer.dataset.url = tenant.url;
     
     const nameSpan = document.createElement('span');
     nameSpan.className = tenant.customName ? 'tenant-name custom' : 'tenant-name';
     const tenantDisplayName = SecurityUtils.decodeHtmlEntities(tenant.customName || tenant.displayName || tenant.name);
-    nameSpan.textContent = tenantDisplayName;
+    this.setHighlightedText(nameSpan, tenant.customName || !label ? tenantDisplayName : label);
     nameSpan.title = tenantDisplayName; // Add tooltip for full name
     nameContainer.appendChild(nameSpan);
+
+    // Add environment badge
+    const environment = EnvironmentClassifier.getEnvironment(tenant);
+    if (environment) {
+      div.dataset.environment = environment;
+      nameContainer.appendChild(this.createEnvironmentBadge(environment));
+    }
+
+    // Grey out suspended, provisioning or deleted tenants and say why
+    const stateInfo = DataProcessor.getTenantStateInfo(tenant);
+    if (stateInfo) {
+      div.classList.add('inactive');
+      nameSpan.title = `${tenantDisplayName} (${stateInfo.label}): ${stateInfo.description}`;
+      nameContainer.appendChild(this.createTenantStateBadge(stateInfo));
+    }
     
     // Add edit icon
     const editIcon = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
@@ -600,16 +1568,32 @@ class OrganizationManager {
     editIcon.appendChild(editPath);
     nameContainer.appendChild(editIcon);
     
+    // Add pin icon
+    nameContainer.appendChild(this.createPinIcon(!!tenant.pinnedAt, 'tenant-pin-icon'));
+
+    // Add details icon (toggles the details drawer)
+    const detailsOpen = this.openTenantDetails.has(`${org.id}|${tenant.id}`);
+    const detailsIcon = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+    detailsIcon.setAttribute('class', detailsOpen ? 'details-icon open' : 'details-icon');
+    detailsIcon.setAttribute('viewBox', '0 0 24 24');
+    detailsIcon.setAttribute('title', 'Show details');
+
+    const detailsPath = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+    detailsPath.setAttribute('d', 'M11 7h2v2h-2zm0 4h2v6h-2zm1-9C6.48 2 2 6.48 2 12s4.48 10 10 10 10-4.48 10-10S17.52 2 12 2zm0 18c-4.41 0-8-3.59-8-8s3.59-8 8-8 8 3.59 8 8-3.59 8-8 8z');
+    detailsIcon.appendChild(detailsPath);
+    nameContainer.appendChild(detailsIcon);
+    
     div.appendChild(nameContainer);
 
     // Add actions if available (excluding the main action which is category "Direct Links")
-    if (tenant.actions && tenant.actions.length > 1) {
+    const tenantActions = DataProcessor.getTenantActions(tenant);
+    if (tenantActions.length > 1 || (tenant.bookmarks && tenant.bookmarks.length > 0)) {
       const actionsContainer = document.createElement('div');
       actionsContainer.className = 'tenant-actions';
       
-      // Filter out the main action (category "Direct Links") and show Quick Actions and Helpful links
-      const secondaryActions = tenant.actions.filter(action => 
-        action.category === 'Quick Actions'
+      // Filter out the main action (category "Direct Links") and show Quick Actions and the user's bookmarks
+      const secondaryActions = tenantActions.filter(action => 
+        action.category === 'Quick Actions' || action.category === DataProcessor.BOOKMARK_CATEGORY
       );
       
       secondaryActions.forEach(action => {
@@ -624,16 +1608,29 @@ class OrganizationManager {
             actionLink.href = sanitizedUrl;
             actionLink.target = '_blank';
             actionLink.className = 'tenant-action-link';
-              actionLink.title = SecurityUtils.decodeHtmlEntities(action.name);
+            actionLink.dataset.url = sanitizedUrl;
+            actionLink.dataset.actionName = action.name;
+            const isBookmark = action.category === DataProcessor.BOOKMARK_CATEGORY;
+            actionLink.title = isBookmark
+              ? `${SecurityUtils.decodeHtmlEntities(action.name)} (right-click to pin, Alt+click to remove)`
+              : `${SecurityUtils.decodeHtmlEntities(action.name)} (right-click to pin)`;
+            if (isBookmark) {
+              actionLink.classList.add('bookmark');
+            }
+            if (tenant.pinnedActions && tenant.pinnedActions[action.name]) {
+              actionLink.classList.add('pinned');
+            }
+            if (this.searchTerms.some(term => DataProcessor.fuzzyMatch(action.name, term))) {
+              actionLink.classList.add('search-hit');
+            }
             
             // Create icon using first letter of action name
             const icon = document.createElement('span');
             icon.className = 'tenant-action-icon text-icon';
             
-            // Always use first letter of action name
+            // Always use first letter of action name (a star for bookmarks)
             const decodedName = SecurityUtils.decodeHtmlEntities(action.name);
-            icon.textContent = decodedName.charAt(0).toUpperCase();
-            icon.title = decodedName; // Show full action name in tooltip
+            icon.textContent = isBookmark ? '★' : decodedName.charAt(0).toUpperCase();
             
             actionLink.appendChild(icon);
             actionsContainer.appendChild(actionLink);
@@ -649,9 +1646,113 @@ class OrganizationManager {
       }
     }
 
+    // Keep the details drawer open across re-renders
+    if (detailsOpen) {
+      div.classList.add('details-open');
+      div.appendChild(this.createTenantDetailsElement(tenant));
+    }
+
     return div;
   }
 
+  /**
+   * Creates the details drawer of a tenant: state, IDs, labels and annotations with copy buttons
+   * @param {Object} tenant - Tenant object
+   * @returns {HTMLElement} Drawer element
+   */
+  createTenantDetailsElement(tenant) {
+    const drawer = document.createElement('div');
+    drawer.className = 'tenant-details';
+
+    const rows = DataProcessor.getTenantDetails(tenant, this.tenantDetailFields);
+    if (rows.length === 0) {
+      const empty = document.createElement('div');
+      empty.className = 'tenant-details-empty';
+      empty.textContent = 'No details to show. Visit the portal again to capture them, or choose more fields on the Settings page.';
+      drawer.appendChild(empty);
+      return drawer;
+    }
+
+    rows.forEach(({ label, value }) => {
+      const row = document.createElement('div');
+      row.className = 'tenant-detail-row';
+
+      const labelSpan = document.createElement('span');
+      labelSpan.className = 'tenant-detail-label';
+      labelSpan.textContent = label;
+      labelSpan.title = label;
+      row.appendChild(labelSpan);
+
+      const valueSpan = document.createElement('span');
+      valueSpan.className = 'tenant-detail-value';
+      valueSpan.textContent = value;
+      valueSpan.title = value;
+      row.appendChild(valueSpan);
+
+      const copyButton = document.createElement('button');
+      copyButton.className = 'tenant-detail-copy';
+      copyButton.textContent = 'Copy';
+      copyButton.title = `Copy ${label}`;
+      copyButton.addEventListener('click', async (e) => {
+        e.stopPropagation();
+        await this.copyText(value, label);
+      });
+      row.appendChild(copyButton);
+
+      drawer.appendChild(row);
+    });
+
+    return drawer;
+  }
+
+  /**
+   * Opens or closes a tenant's details drawer
+   * @param {HTMLElement} tenantItem - Tenant element
+   */
+  toggleTenantDetails(tenantItem) {
+    const { orgId, tenantId } = tenantItem.dataset;
+    const key = `${orgId}|${tenantId}`;
+    const icon = tenantItem.querySelector('.details-icon');
+    const existing = tenantItem.querySelector(':scope > .tenant-details');
+
+    if (existing) {
+      existing.remove();
+      this.openTenantDetails.delete(key);
+      tenantItem.classList.remove('details-open');
+      icon.classList.remove('open');
+      return;
+    }
+
+    const item = DataProcessor.resolveLaunchItem(this.organizations, { orgId, tenantId });
+    if (!item) {
+      this.showError('Tenant not found');
+      return;
+    }
+
+    this.openTenantDetails.add(key);
+    tenantItem.classList.add('details-open');
+    icon.classList.add('open');
+    tenantItem.appendChild(this.createTenantDetailsElement(item.tenant));
+  }
+
+  /**
+   * Copies text to the clipboard and confirms it
+   * @param {string} text - Text to copy
+   * @param {string} label - What was copied, for the confirmation
+   * @returns {Promise<boolean>} Whether the text was copied
+   */
+  async copyText(text, label) {
+    try {
+      await navigator.clipboard.writeText(text);
+      this.showSuccess(`${label} copied`);
+      return true;
+    } catch (error) {
+      this.logger.error('Failed to copy to the clipboard', error);
+      this.showError('Failed to copy');
+      return false;
+    }
+  }
+
   /**
    * Maps MUI icon names to simple Unicode symbols
    * @param {string} iconName - MUI icon name
@@ -683,7 +1784,8 @@ class OrganizationManager {
    */
   createSubsiteElement(subsite) {
     const div = document.createElement('div');
-    div.className = 'subsite-item';
+    div.className = 'subsite-item nav-item';
+    div.tabIndex = -1;
     div.dataset.url = subsite.url;
 
     // Add icon based on iconSrc
@@ -740,96 +1842,465 @@ class OrganizationManager {
   }
 
   /**
-   * Renders the organizations list in the popup
+   * Creates a DOM element for an entry in the Pinned or Recent section
+   * @param {Object} item - Item from DataProcessor.getPinnedItems or DataProcessor.resolveLaunchItem
+   * @param {string} kind - 'pinned' or 'recent'
+   * @returns {HTMLElement} Launch list item
    */
-  renderOrganizations() {
-    const listElement = document.getElementById("org-list");
-    const emptyStateElement = document.getElementById("empty-state");
+  createLaunchItemElement(item, kind) {
+    const li = document.createElement('li');
+    li.className = `launch-item ${kind}-item nav-item`;
+    li.tabIndex = -1;
+    li.dataset.url = item.url;
+    li.dataset.itemType = item.type;
+    li.dataset.orgId = item.org.id;
+    if (item.tenant) {
+      li.dataset.tenantId = item.tenant.id;
+    }
+    if (item.action) {
+      li.dataset.actionName = item.action.name;
+    }
 
-    if (!listElement || !emptyStateElement) {
-      this.logger.error("Required DOM elements not found");
+    const orgName = SecurityUtils.decodeHtmlEntities(item.org.customName || item.org.name);
+    const tenantName = item.tenant
+      ? SecurityUtils.decodeHtmlEntities(item.tenant.customName || item.tenant.displayName || item.tenant.name)
+      : '';
+
+    // Icon: product icon for tenants, first letter for actions, org icon otherwise
+    if (item.type === 'tenant' && item.group.iconSrc && item.group.iconSrc.startsWith('http')) {
+      const img = document.createElement('img');
+      img.className = 'launch-item-icon';
+      img.src = item.group.iconSrc;
+      img.alt = item.group.productName;
+      li.appendChild(img);
+    } else if (item.type === 'action') {
+      const icon = document.createElement('span');
+      icon.className = 'launch-item-icon tenant-action-icon text-icon';
+      icon.textContent = SecurityUtils.decodeHtmlEntities(item.action.name).charAt(0).toUpperCase();
+      li.appendChild(icon);
+    } else {
+      const iconSvg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+      iconSvg.setAttribute('class', 'launch-item-icon');
+      iconSvg.setAttribute('viewBox', '0 0 24 24');
+      const iconPath = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+      iconPath.setAttribute('d', 'M18,15H16V17H18M18,11H16V13H18M20,19H12V17H14V15H12V13H14V11H12V9H20M10,7H8V5H10M10,11H8V9H10M10,15H8V13H10M10,19H8V17H10M6,7H4V5H6M6,11H4V9H6M6,15H4V13H6M6,19H4V17H6M12,7V3H2V21H22V7H12Z');
+      iconSvg.appendChild(iconPath);
+      li.appendChild(iconSvg);
+    }
+
+    const textDiv = document.createElement('div');
+    textDiv.className = 'launch-item-text';
+
+    const nameSpan = document.createElement('span');
+    nameSpan.className = 'launch-item-name';
+    const contextSpan = document.createElement('span');
+    contextSpan.className = 'launch-item-context';
+
+    if (item.type === 'org') {
+      nameSpan.textContent = orgName;
+    } else if (item.type === 'tenant') {
+      nameSpan.textContent = tenantName;
+      contextSpan.textContent = `${orgName} · ${SecurityUtils.decodeHtmlEntities(item.group.productName)}`;
+    } else {
+      nameSpan.textContent = SecurityUtils.decodeHtmlEntities(item.action.name);
+      contextSpan.textContent = `${tenantName} · ${orgName}`;
+    }
+    nameSpan.title = nameSpan.textContent;
+
+    textDiv.appendChild(nameSpan);
+    if (contextSpan.textContent) {
+      textDiv.appendChild(contextSpan);
+    }
+    li.appendChild(textDiv);
+
+    const environment = item.tenant ? EnvironmentClassifier.getEnvironment(item.tenant) : null;
+    if (environment) {
+      li.appendChild(this.createEnvironmentBadge(environment));
+    }
+
+    const stateInfo = item.tenant ? DataProcessor.getTenantStateInfo(item.tenant) : null;
+    if (stateInfo) {
+      li.classList.add('inactive');
+      nameSpan.title = `${nameSpan.textContent} (${stateInfo.label}): ${stateInfo.description}`;
+      li.appendChild(this.createTenantStateBadge(stateInfo));
+    }
+
+    if (kind === 'pinned') {
+      const unpinBtn = document.createElement('button');
+      unpinBtn.className = 'unpin-btn';
+      unpinBtn.textContent = '✕';
+      unpinBtn.title = 'Unpin';
+      li.appendChild(unpinBtn);
+    }
+
+    return li;
+  }
+
+  /**
+   * Organizations as listed, without their inactive tenants when the user hides them
+   * @returns {Array} Organizations to render
+   */
+  getVisibleOrganizations() {
+    return this.hideInactiveTenants
+      ? DataProcessor.withoutInactiveTenants(this.organizations)
+      : this.organizations;
+  }
+
+  /**
+   * Renders the Pinned section (hidden while searching or when nothing is pinned)
+   */
+  renderPinned() {
+    const sectionElement = document.getElementById('pinned-section');
+    const pinnedListElement = document.getElementById('pinned-list');
+    if (!sectionElement || !pinnedListElement) return;
+
+    pinnedListElement.innerHTML = '';
+
+    const pinnedItems = this.searchQuery.trim() ? [] : DataProcessor.getPinnedItems(this.getVisibleOrganizations());
+    if (pinnedItems.length === 0) {
+      sectionElement.classList.add('hidden');
       return;
     }
 
-    // Clear the list
-    listElement.innerHTML = '';
+    pinnedItems.forEach(item => {
+      pinnedListElement.appendChild(this.createLaunchItemElement(item, 'pinned'));
+    });
+    sectionElement.classList.remove('hidden');
+  }
 
-    if (this.organizations.length === 0) {
-      listElement.classList.add("hidden");
-      emptyStateElement.classList.remove("hidden");
-      
-      // Show user guidance when no organizations are found
-      this.showUserGuidance(
-        'No organizations found.',
-        'Please visit Sitecore Portal and populate your organizations.',
-        'https://portal.sitecorecloud.io/'
-      );
-      
+  /**
+   * Renders the Recent section from usage history (hidden while searching or when empty)
+   */
+  renderRecent() {
+    const sectionElement = document.getElementById('recent-section');
+    const recentListElement = document.getElementById('recent-list');
+    if (!sectionElement || !recentListElement) return;
+
+    recentListElement.innerHTML = '';
+
+    const visibleOrgs = this.getVisibleOrganizations();
+    const recentItems = this.searchQuery.trim() ? [] : this.recentEntries
+      .map(entry => DataProcessor.resolveLaunchItem(visibleOrgs, entry))
+      .filter(Boolean)
+      .slice(0, CONFIG.get('UI.MAX_RECENT_ITEMS'));
+
+    if (recentItems.length === 0) {
+      sectionElement.classList.add('hidden');
       return;
     }
 
-    listElement.classList.remove("hidden");
-    emptyStateElement.classList.add("hidden");
-    
-    // Remove any existing guidance messages when organizations are present
-    const existingGuidance = document.querySelector('.guidance-container');
-    if (existingGuidance) {
-      existingGuidance.remove();
+    recentItems.forEach(item => {
+      recentListElement.appendChild(this.createLaunchItemElement(item, 'recent'));
+    });
+    sectionElement.classList.remove('hidden');
+  }
+
+  /**
+   * Clears the usage history behind the Recent section and frecency ordering
+   */
+  async clearRecent() {
+    const success = await usageManager.clearHistory();
+    if (!success) {
+      this.showError('Failed to clear recent items');
+      return;
     }
 
-    // Sort organizations alphabetically by name
-    const sortedOrgs = [...this.organizations].sort((a, b) => 
-      a.name.toLowerCase().localeCompare(b.name.toLowerCase())
-    );
+    this.recentEntries = [];
+    this.frecencyScores = { organizations: {}, tenants: {} };
+    this.renderOrganizations();
+    this.showSuccess('Recent items cleared');
+  }
 
-    // Create and append organization elements
-    sortedOrgs.forEach(org => {
-      const isCurrent = org.url === this.currentUrl;
-      const orgElement = this.createOrganizationElement(org, isCurrent);
-      listElement.appendChild(orgElement);
+  /**
+   * Records which organizations and product groups are expanded
+   * @param {HTMLElement} listElement - Organization list element
+   * @returns {Object} Sets of expanded org IDs and product group keys
+   */
+  captureExpandedState(listElement) {
+    const state = { orgs: new Set(), groups: new Set() };
+
+    listElement.querySelectorAll('.org-item.expanded').forEach(orgItem => {
+      state.orgs.add(this.getExpansionKey(orgItem));
+    });
+    listElement.querySelectorAll('.product-group.expanded').forEach(groupElement => {
+      state.groups.add(this.getExpansionKey(groupElement));
     });
 
-    // Add event listeners
-    this.addEventListeners();
+    return state;
   }
 
   /**
-   * Starts editing a name (organization or tenant)
-   * @param {HTMLElement} element - The element containing the name
-   * @param {string} currentName - The current display name
-   * @param {string} originalName - The original name for revert
-   * @param {Function} saveCallback - Function to call when saving
+   * Builds a key identifying an expandable element across re-renders
+   * @param {HTMLElement} element - Org item, view group or product group element
+   * @returns {string} Expansion key
    */
-  startEdit(element, currentName, originalName, saveCallback) {
-    const nameText = element.querySelector('.name-text') || element.querySelector('.tenant-name');
-    const editIcon = element.querySelector('.edit-icon');
-    
-    if (!nameText) return;
-    
-    // Add editing class to the container
-    element.classList.add('editing');
-    
-    // Create input field
-    const input = document.createElement('input');
-    input.type = 'text';
-    input.className = 'name-edit-input';
-    input.value = currentName;
-    
-    // Create control buttons container
-    const controls = document.createElement('div');
-    controls.className = 'edit-controls';
-    
-    // Save button
-    const saveBtn = document.createElement('button');
-    saveBtn.className = 'edit-btn save-btn';
-    saveBtn.innerHTML = '✓';
-    saveBtn.title = 'Save';
-    
-    // Cancel button
-    const cancelBtn = document.createElement('button');
-    cancelBtn.className = 'edit-btn cancel-btn';
-    cancelBtn.innerHTML = '✕';
-    cancelBtn.title = 'Cancel';
+  getExpansionKey(element) {
+    if (element.classList.contains('product-group')) {
+      const parent = element.closest('.org-item');
+      return `${this.getExpansionKey(parent)}|${element.dataset.groupKey}`;
+    }
+    return element.dataset.viewGroup || element.dataset.orgId;
+  }
+
+  /**
+   * Re-applies expansion state captured before a re-render
+   * @param {HTMLElement} listElement - Organization list element
+   * @param {Object} state - State from captureExpandedState
+   */
+  restoreExpandedState(listElement, state) {
+    listElement.querySelectorAll('.org-item').forEach(orgItem => {
+      if (state.orgs.has(this.getExpansionKey(orgItem))) {
+        orgItem.classList.add('expanded');
+      }
+    });
+    listElement.querySelectorAll('.product-group').forEach(groupElement => {
+      if (state.groups.has(this.getExpansionKey(groupElement))) {
+        this.toggleProductGroup(groupElement, true);
+      }
+    });
+  }
+
+  /**
+   * Creates a DOM element for a cross-organization group (product, environment or region view)
+   * @param {Object} bucket - Group from DataProcessor.groupTenantsAcrossOrganizations
+   * @param {boolean} expanded - Whether to start expanded
+   * @returns {HTMLElement} Group element
+   */
+  createViewGroupElement(bucket, expanded = false) {
+    const li = document.createElement('li');
+    li.className = 'org-item has-subsites view-group';
+    if (expanded) {
+      li.classList.add('expanded');
+    }
+    li.dataset.viewGroup = `${this.groupBy}:${bucket.key}`;
+
+    const headerDiv = document.createElement('div');
+    headerDiv.className = 'org-header nav-item';
+    headerDiv.tabIndex = -1;
+
+    const expandSvg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+    expandSvg.setAttribute('class', 'expand-icon');
+    expandSvg.setAttribute('viewBox', '0 0 24 24');
+    const expandPath = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+    expandPath.setAttribute('d', 'M8.59,16.58L13.17,12L8.59,7.41L10,6L16,12L10,18L8.59,16.58Z');
+    expandSvg.appendChild(expandPath);
+    headerDiv.appendChild(expandSvg);
+
+    if (bucket.iconSrc && bucket.iconSrc.startsWith('http')) {
+      const img = document.createElement('img');
+      img.className = 'org-icon';
+      img.src = bucket.iconSrc;
+      img.alt = bucket.label;
+      headerDiv.appendChild(img);
+    } else {
+      // Stacked layers icon for environment and region groups
+      const iconSvg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+      iconSvg.setAttribute('class', 'org-icon');
+      iconSvg.setAttribute('viewBox', '0 0 24 24');
+      const iconPath = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+      iconPath.setAttribute('d', 'M12,16L19.36,10.27L21,9L12,2L3,9L4.63,10.27M12,18.54L4.62,12.81L3,14.07L12,21.07L21,14.07L19.37,12.8L12,18.54Z');
+      iconSvg.appendChild(iconPath);
+      headerDiv.appendChild(iconSvg);
+    }
+
+    const contentDiv = document.createElement('div');
+    contentDiv.className = 'org-content';
+    const nameDiv = document.createElement('div');
+    nameDiv.className = 'org-name';
+
+    const nameSpan = document.createElement('span');
+    nameSpan.className = 'name-text';
+    const label = SecurityUtils.decodeHtmlEntities(bucket.label);
+    nameSpan.textContent = label;
+    nameSpan.title = label;
+    nameDiv.appendChild(nameSpan);
+
+    const countSpan = document.createElement('span');
+    countSpan.className = 'subsite-count';
+    countSpan.textContent = `(${bucket.tenantCount})`;
+    nameDiv.appendChild(countSpan);
+
+    contentDiv.appendChild(nameDiv);
+    headerDiv.appendChild(contentDiv);
+    li.appendChild(headerDiv);
+
+    // One sub-group per organization product group, labelled with its owner
+    const subsitesContainer = document.createElement('div');
+    subsitesContainer.className = 'subsites-container';
+
+    bucket.sections.forEach(({ org, group, tenants }) => {
+      const orgName = SecurityUtils.decodeHtmlEntities(org.customName || org.name);
+      const sectionLabel = this.groupBy === 'product'
+        ? orgName
+        : `${orgName} · ${SecurityUtils.decodeHtmlEntities(group.productName)}`;
+
+      subsitesContainer.appendChild(this.createProductGroupElement(group, {
+        org,
+        tenants,
+        expanded,
+        label: sectionLabel
+      }));
+    });
+
+    li.appendChild(subsitesContainer);
+    return li;
+  }
+
+  /**
+   * Creates a section heading used when grouping organizations by org type
+   * @param {string} label - Heading text
+   * @param {number} count - Number of organizations in the section
+   * @returns {HTMLElement} Heading element
+   */
+  createViewSectionTitle(label, count) {
+    const li = document.createElement('li');
+    li.className = 'view-section-title';
+    li.textContent = `${label} (${count})`;
+    return li;
+  }
+
+  /**
+   * Renders the organizations list in the popup
+   */
+  renderOrganizations() {
+    const listElement = document.getElementById("org-list");
+    const emptyStateElement = document.getElementById("empty-state");
+    const noResultsElement = document.getElementById("no-results");
+
+    if (!listElement || !emptyStateElement) {
+      this.logger.error("Required DOM elements not found");
+      return;
+    }
+
+    // Clear the list, remembering what was expanded
+    const expandedState = this.captureExpandedState(listElement);
+    listElement.innerHTML = '';
+    if (noResultsElement) {
+      noResultsElement.classList.add('hidden');
+    }
+
+    this.renderPinned();
+    this.renderRecent();
+
+    if (this.organizations.length === 0) {
+      listElement.classList.add("hidden");
+      emptyStateElement.classList.remove("hidden");
+      
+      // Show user guidance when no organizations are found
+      this.showUserGuidance(
+        'No organizations found.',
+        'Please visit Sitecore Portal and populate your organizations.',
+        'https://portal.sitecorecloud.io/'
+      );
+      
+      return;
+    }
+
+    listElement.classList.remove("hidden");
+    emptyStateElement.classList.add("hidden");
+    
+    // Remove any existing guidance messages when organizations are present
+    const existingGuidance = document.querySelector('.guidance-container');
+    if (existingGuidance) {
+      existingGuidance.remove();
+    }
+
+    // Sort organizations by the selected ordering
+    const sortedOrgs = DataProcessor.sortOrganizations(
+      this.getVisibleOrganizations(),
+      this.sortBy,
+      DataProcessor.SORT_DIRECTIONS[this.sortBy] || 'asc',
+      { frecencyScores: this.frecencyScores.organizations }
+    );
+
+    // Apply the search query, if any (results are ranked by match quality)
+    const searchResults = DataProcessor.searchOrganizations(sortedOrgs, this.searchQuery);
+    this.searchTerms = searchResults ? DataProcessor.parseSearchQuery(this.searchQuery).terms : [];
+
+    if (searchResults && searchResults.length === 0 && noResultsElement) {
+      noResultsElement.classList.remove('hidden');
+    }
+
+    const results = searchResults || sortedOrgs.map(org => ({ org }));
+    const appendOrganization = result => {
+      const isCurrent = result.org.id === this.currentOrgId || result.org.url === this.currentUrl;
+      const orgElement = this.createOrganizationElement(result.org, isCurrent, searchResults ? result : null);
+      listElement.appendChild(orgElement);
+    };
+
+    if (this.groupBy === 'orgType') {
+      // Section per org type, keeping the sort (or search ranking) within each section
+      DataProcessor.groupOrganizationsByType(results.map(result => result.org)).forEach(section => {
+        listElement.appendChild(this.createViewSectionTitle(section.label, section.organizations.length));
+        section.organizations.forEach(org => {
+          appendOrganization(results.find(result => result.org === org));
+        });
+      });
+    } else if (this.groupBy !== 'organization') {
+      // Cross-organization view: regroup every (org, product group) pair's tenants
+      const sections = results.flatMap(result => searchResults
+        ? result.groups.map(({ group, tenants }) => ({ org: result.org, group, tenants }))
+        : (result.org.productGroups || []).map(group => ({ org: result.org, group, tenants: group.tenants })));
+
+      const buckets = DataProcessor.groupTenantsAcrossOrganizations(sections, this.groupBy);
+      buckets.forEach(bucket => {
+        listElement.appendChild(this.createViewGroupElement(bucket, !!searchResults));
+      });
+
+      // Organization-only matches have no tenants to show in this view
+      if (searchResults && buckets.length === 0 && noResultsElement) {
+        noResultsElement.classList.remove('hidden');
+      }
+    } else {
+      // Create and append organization elements
+      results.forEach(appendOrganization);
+    }
+
+    if (!searchResults) {
+      this.restoreExpandedState(listElement, expandedState);
+    }
+
+    // Add event listeners
+    this.addEventListeners();
+  }
+
+  /**
+   * Starts editing a name (organization or tenant)
+   * @param {HTMLElement} element - The element containing the name
+   * @param {string} currentName - The current display name
+   * @param {string} originalName - The original name for revert
+   * @param {Function} saveCallback - Function to call when saving
+   */
+  startEdit(element, currentName, originalName, saveCallback) {
+    const nameText = element.querySelector('.name-text') || element.querySelector('.tenant-name') || element.querySelector('.project-name');
+    const editIcon = element.querySelector('.edit-icon');
+    
+    if (!nameText) return;
+    
+    // Add editing class to the container
+    element.classList.add('editing');
+    
+    // Create input field
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.className = 'name-edit-input';
+    input.value = currentName;
+    
+    // Create control buttons container
+    const controls = document.createElement('div');
+    controls.className = 'edit-controls';
+    
+    // Save button
+    const saveBtn = document.createElement('button');
+    saveBtn.className = 'edit-btn save-btn';
+    saveBtn.innerHTML = '✓';
+    saveBtn.title = 'Save';
+    
+    // Cancel button
+    const cancelBtn = document.createElement('button');
+    cancelBtn.className = 'edit-btn cancel-btn';
+    cancelBtn.innerHTML = '✕';
+    cancelBtn.title = 'Cancel';
     
     // Revert button (only show if there's a custom name)
     const revertBtn = document.createElement('button');
@@ -943,7 +2414,7 @@ class OrganizationManager {
   endEdit(element, newName = null, isCustom = false) {
     const input = element.querySelector('.name-edit-input');
     const controls = element.querySelector('.edit-controls');
-    const nameText = element.querySelector('.name-text') || element.querySelector('.tenant-name');
+    const nameText = element.querySelector('.name-text') || element.querySelector('.tenant-name') || element.querySelector('.project-name');
     const editIcon = element.querySelector('.edit-icon');
     
     // Remove editing class from the container
@@ -1066,183 +2537,1025 @@ class OrganizationManager {
   }
 
   /**
-   * Adds event listeners to organization items
+   * Pins or unpins an organization, tenant or tenant action
+   * @param {Object} target - What to pin
+   * @param {string} target.orgId - Organization ID
+   * @param {string} target.tenantId - Tenant ID (optional)
+   * @param {string} target.actionName - Action name within the tenant (optional)
+   * @returns {Promise<boolean>} Success status
    */
-  addEventListeners() {
-    // Handle organization header clicks (expand/collapse)
-    document.querySelectorAll(".org-item.has-subsites .org-header").forEach((header) => {
-      header.addEventListener("click", async (e) => {
-        // Don't expand if delete button was clicked
-        if (e.target.closest(".delete-icon")) return;
-        
-        const orgItem = header.closest(".org-item");
-        
-        // If clicking on expand icon, toggle expansion
-        if (e.target.closest(".expand-icon")) {
-          e.stopPropagation();
-          orgItem.classList.toggle("expanded");
-          return;
-        }
-        
-        // Otherwise, navigate to the organization
-        const url = orgItem.dataset.url;
-        if (url && this.isValidSitecoreUrl(url)) {
-          try {
-            await chrome.tabs.create({ url });
-            window.close();
-          } catch (error) {
-            this.logger.error("Error opening tab", error);
-            this.showError("Failed to open organization");
-          }
-        }
-      });
-    });
+  async togglePin({ orgId, tenantId = null, actionName = null }) {
+    try {
+      const organizations = await this.readOrganizations();
+      const org = organizations.find(o => o.id === orgId);
+      if (!org) {
+        this.showError('Organization not found');
+        return false;
+      }
 
-    // Handle organization clicks (for orgs without subsites)
-    document.querySelectorAll(".org-item:not(.has-subsites)").forEach((item) => {
-      item.addEventListener("click", async (e) => {
-        // Don't navigate if delete button was clicked
-        if (e.target.closest(".delete-icon")) return;
+      const pinnedAt = new Date().toISOString();
+      let pinned;
 
-        const url = item.dataset.url;
-        if (url && this.isValidSitecoreUrl(url)) {
-          try {
-            await chrome.tabs.create({ url });
-            window.close();
-          } catch (error) {
-            this.logger.error("Error opening tab", error);
-            this.showError("Failed to open organization");
-          }
-        } else {
-          this.showError("Invalid organization URL");
+      if (tenantId) {
+        const tenant = (org.productGroups || [])
+          .flatMap(group => group.tenants || [])
+          .find(t => t.id === tenantId);
+        if (!tenant) {
+          this.showError('Tenant not found');
+          return false;
         }
-      });
-    });
 
-    // Handle subsite clicks (legacy format)
-    document.querySelectorAll(".subsite-item").forEach((item) => {
-      item.addEventListener("click", async (e) => {
-        e.stopPropagation();
-        const url = item.dataset.url;
-        if (url && SecurityUtils.isUrlSafeForNavigation(url)) {
-          try {
-            await chrome.tabs.create({ url });
-            window.close();
-          } catch (error) {
-            this.logger.error("Error opening subsite", error);
-            this.showError("Failed to open subsite");
+        if (actionName) {
+          const pinnedActions = { ...(tenant.pinnedActions || {}) };
+          pinned = !pinnedActions[actionName];
+          if (pinned) {
+            pinnedActions[actionName] = pinnedAt;
+          } else {
+            delete pinnedActions[actionName];
           }
-        } else if (url) {
-          this.logger.warn("Blocked unsafe URL for subsite navigation", { url });
-          this.showError("Invalid or unsafe URL blocked");
-        }
-      });
-    });
-
-    // Handle tenant clicks (new grouped format)
-    document.querySelectorAll(".tenant-name-container").forEach((item) => {
-      item.addEventListener("click", async (e) => {
-        e.stopPropagation();
-        const url = item.dataset.url;
-        if (url && SecurityUtils.isUrlSafeForNavigation(url)) {
-          try {
-            await chrome.tabs.create({ url });
-            window.close();
-          } catch (error) {
-            this.logger.error("Error opening tenant", error);
-            this.showError("Failed to open tenant");
+          tenant.pinnedActions = pinnedActions;
+        } else {
+          pinned = !tenant.pinnedAt;
+          if (pinned) {
+            tenant.pinnedAt = pinnedAt;
+          } else {
+            delete tenant.pinnedAt;
           }
-        } else if (url) {
-          this.logger.warn("Blocked unsafe URL for tenant navigation", { url });
-          this.showError("Invalid or unsafe URL blocked");
         }
-      });
-    });
-
-    // Handle product group header clicks (expand/collapse)
-    document.querySelectorAll(".product-header").forEach((header) => {
-      header.addEventListener("click", (e) => {
-        e.stopPropagation();
-        const productGroup = header.closest('.product-group');
-        const tenantsList = productGroup.querySelector('.tenants-list');
-        
-        if (productGroup.classList.contains('collapsed')) {
-          // Expand the group
-          productGroup.classList.remove('collapsed');
-          productGroup.classList.add('expanded');
-          tenantsList.classList.remove('hidden');
-          tenantsList.classList.add('visible');
+      } else {
+        pinned = !org.pinnedAt;
+        if (pinned) {
+          org.pinnedAt = pinnedAt;
         } else {
-          // Collapse the group
-          productGroup.classList.remove('expanded');
-          productGroup.classList.add('collapsed');
-          tenantsList.classList.add('hidden');
-          tenantsList.classList.remove('visible');
+          delete org.pinnedAt;
         }
-      });
-    });
+      }
 
-    // Handle delete button clicks
-    document.querySelectorAll(".delete-icon").forEach((btn) => {
-      btn.addEventListener("click", async (e) => {
-        e.stopPropagation();
-        const id = btn.dataset.id;
-        if (id) {
-          await this.deleteOrganization(id);
-        }
-      });
-    });
+      const success = await storageManager.saveOrganizations(organizations);
+      if (!success) {
+        throw new Error('Save operation failed');
+      }
 
-    // Handle organization name edit clicks
-    document.querySelectorAll(".org-name .edit-icon").forEach((icon) => {
-      icon.addEventListener("click", (e) => {
-        e.stopPropagation();
-        const orgItem = icon.closest('.org-item');
-        const orgId = orgItem.dataset.orgId;
-        const nameDiv = icon.closest('.org-name');
-        const nameText = nameDiv.querySelector('.name-text');
-        const currentName = nameText.textContent;
-        
-        // Get original name from organizations data
-        const org = this.organizations.find(o => o.id === orgId);
-        const originalName = org ? org.name : currentName;
-        
-        this.startEdit(nameDiv, currentName, originalName, async (newName) => {
-          await this.updateOrganizationName(orgId, newName);
-        });
-      });
-    });
+      this.organizations = organizations;
+      this.renderOrganizations();
+      this.showSuccess(pinned ? 'Pinned' : 'Unpinned');
+      return true;
+    } catch (error) {
+      this.logger.error('Error updating pin', error);
+      this.showError('Failed to update pin');
+      return false;
+    }
+  }
 
-    // Handle tenant name edit clicks
-    document.querySelectorAll(".tenant-edit-icon").forEach((icon) => {
-      icon.addEventListener("click", (e) => {
-        e.stopPropagation();
-        const tenantItem = icon.closest('.tenant-item');
-        const orgItem = icon.closest('.org-item');
-        const tenantId = tenantItem.dataset.tenantId;
-        const orgId = orgItem.dataset.orgId;
-        const nameContainer = icon.closest('.tenant-name-container');
-        const nameText = nameContainer.querySelector('.tenant-name');
-        const currentName = nameText.textContent;
-        
-        // Get original name from organizations data
-        let originalName = currentName;
-        const org = this.organizations.find(o => o.id === orgId);
-        if (org && org.productGroups) {
-          for (const group of org.productGroups) {
-            const tenant = group.tenants.find(t => t.id === tenantId);
-            if (tenant) {
-              originalName = tenant.displayName || tenant.name;
-              break;
-            }
-          }
-        }
-        
-        this.startEdit(nameContainer, currentName, originalName, async (newName) => {
-          await this.updateTenantName(orgId, tenantId, newName);
-        });
-      });
-    });
+  /**
+   * Works out which org, tenant or action a navigable element refers to
+   * @param {HTMLElement} item - Clicked or activated element
+   * @returns {Object|null} Navigation target, or null for items without stable IDs (legacy subsites)
+   */
+  getNavigationTarget(item) {
+    const orgId = item.dataset.orgId
+      || item.closest('.tenant-item')?.dataset.orgId
+      || item.closest('.org-item')?.dataset.orgId;
+    if (!orgId) return null;
+
+    const tenantId = item.dataset.tenantId || item.closest('.tenant-item')?.dataset.tenantId || null;
+    if (!tenantId && item.classList.contains('subsite-item')) return null;
+
+    return {
+      orgId,
+      tenantId,
+      actionName: tenantId ? (item.dataset.actionName || null) : null
+    };
+  }
+
+  /**
+   * Asks for confirmation before opening a production tenant or action,
+   * when the owning organization has production confirmation turned on
+   * @param {HTMLElement} item - Element being opened
+   * @returns {Promise<boolean>} Whether to continue opening
+   */
+  async confirmProductionNavigation(item) {
+    const target = this.getNavigationTarget(item);
+    if (!target || !target.tenantId) return true;
+
+    const resolved = DataProcessor.resolveLaunchItem(this.organizations, target);
+    if (!DataProcessor.requiresProductionConfirmation(resolved)) return true;
+
+    const tenantName = SecurityUtils.decodeHtmlEntities(
+      resolved.tenant.customName || resolved.tenant.displayName || resolved.tenant.name
+    );
+    const orgName = SecurityUtils.decodeHtmlEntities(resolved.org.customName || resolved.org.name);
+    const what = resolved.action
+      ? `"${SecurityUtils.decodeHtmlEntities(resolved.action.name)}" in the PRODUCTION tenant "${tenantName}"`
+      : `the PRODUCTION tenant "${tenantName}"`;
+
+    return await this.asyncConfirm(`You are about to open ${what} (${orgName}). Continue?`);
+  }
+
+  /**
+   * Turns production confirmation on or off for an organization
+   * @param {string} orgId - Organization ID
+   * @returns {Promise<boolean>} Success status
+   */
+  async toggleProductionConfirmation(orgId) {
+    try {
+      const organizations = await this.readOrganizations();
+      const org = organizations.find(o => o.id === orgId);
+      if (!org) {
+        this.showError('Organization not found');
+        return false;
+      }
+
+      org.confirmProduction = !org.confirmProduction;
+
+      const success = await storageManager.saveOrganizations(organizations);
+      if (!success) {
+        throw new Error('Save operation failed');
+      }
+
+      this.organizations = organizations;
+      this.renderOrganizations();
+      this.showSuccess(org.confirmProduction
+        ? 'Production links will ask for confirmation'
+        : 'Production confirmation turned off');
+      return true;
+    } catch (error) {
+      this.logger.error('Error updating production confirmation', error);
+      this.showError('Failed to update setting');
+      return false;
+    }
+  }
+
+  /**
+   * Removes a bookmark saved from a product page
+   * @param {HTMLElement} link - Bookmark link inside a tenant item
+   * @returns {Promise<boolean>} Success status
+   */
+  async removeBookmark(link) {
+    const tenantItem = link.closest('.tenant-item');
+    const name = link.dataset.actionName;
+
+    try {
+      if (!(await this.asyncConfirm(`Remove the bookmark "${SecurityUtils.decodeHtmlEntities(name)}"?`))) {
+        return false;
+      }
+
+      const organizations = await this.readOrganizations();
+      const match = DataProcessor.resolveLaunchItem(organizations, {
+        orgId: tenantItem.dataset.orgId,
+        tenantId: tenantItem.dataset.tenantId
+      });
+      if (!match || !DataProcessor.removeTenantBookmark(match.tenant, name)) {
+        this.showError('Bookmark not found');
+        return false;
+      }
+
+      if (!(await storageManager.saveOrganizations(organizations))) {
+        throw new Error('Save operation failed');
+      }
+
+      this.organizations = organizations;
+      this.renderOrganizations();
+      this.showSuccess('Bookmark removed');
+      return true;
+    } catch (error) {
+      this.logger.error('Error removing bookmark', error);
+      this.showError('Failed to remove bookmark');
+      return false;
+    }
+  }
+
+  /**
+   * Records a navigation in the usage history (never blocks opening the link)
+   * @param {HTMLElement} item - Element being opened
+   */
+  async recordNavigation(item) {
+    const target = this.getNavigationTarget(item);
+    if (!target) return;
+
+    try {
+      await usageManager.recordNavigation(target);
+    } catch (error) {
+      this.logger.warn('Failed to record navigation', error);
+    }
+  }
+
+  /**
+   * Works out where a click or key press should open its link, following browser conventions:
+   * Ctrl/Cmd or middle click opens a background tab, Shift a new window, otherwise the default open mode
+   * @param {Event} e - Mouse or keyboard event (optional)
+   * @param {string} fallback - Disposition without modifiers (defaults to the open mode setting)
+   * @returns {string} 'foreground', 'background', 'newWindow' or 'currentTab'
+   */
+  getOpenDisposition(e = null, fallback = this.openMode) {
+    if (e && (e.button === 1 || e.ctrlKey || e.metaKey)) return 'background';
+    if (e && e.shiftKey) return 'newWindow';
+    return fallback;
+  }
+
+  /**
+   * Closes the popup after opening something; the side panel stays open
+   */
+  closeView() {
+    if (!this.isSidePanel) {
+      window.close();
+    }
+  }
+
+  /**
+   * Opens a URL according to the open mode and the tab reuse setting
+   * @param {string} url - Already validated URL to open
+   * @param {Object} options - Open options
+   * @param {string} options.disposition - Where to open (see getOpenDisposition), defaults to the open mode setting
+   * @param {Object} options.target - Navigation target used to find a reusable tab and the tab group
+   * @returns {Promise<void>}
+   */
+  async openUrl(url, options = {}) {
+    const { disposition = this.openMode, target = null } = options;
+
+    // Only Sitecore tabs are replaced; anything else gets a new tab
+    if (disposition === 'currentTab' && this.currentTabId !== null && this.isValidSitecoreUrl(this.currentUrl)) {
+      const isOrganization = target && !target.tenantId;
+      await chrome.tabs.update(this.currentTabId, {
+        url: isOrganization ? TabManager.replaceOrganization(this.currentUrl, url) : url
+      });
+      this.closeView();
+      return;
+    }
+
+    const resolved = target && this.groupTabs ? DataProcessor.resolveLaunchItem(this.organizations, target) : null;
+    const group = resolved ? TabManager.getGroupOptions(resolved.org, resolved.tenant) : null;
+
+    const { reused } = await tabManager.open(url, {
+      target,
+      disposition: disposition === 'currentTab' ? 'foreground' : disposition,
+      mode: this.tabReuse,
+      group
+    });
+    if (disposition !== 'background') {
+      this.closeView();
+    } else if (reused) {
+      this.showNotification('Already open in another tab');
+    }
+  }
+
+  /**
+   * Navigates to an organization
+   * @param {HTMLElement} orgItem - Organization list item
+   * @param {Object} options - Open options passed to openUrl
+   */
+  async openOrganization(orgItem, options = {}) {
+    const url = orgItem.dataset.url;
+    if (url && this.isValidSitecoreUrl(url)) {
+      try {
+        await this.recordNavigation(orgItem);
+        await this.openUrl(url, { ...options, target: this.getNavigationTarget(orgItem) });
+      } catch (error) {
+        this.logger.error("Error opening tab", error);
+        this.showError("Failed to open organization");
+      }
+    } else {
+      this.showError("Invalid organization URL");
+    }
+  }
+
+  /**
+   * Navigates to a tenant or legacy subsite
+   * @param {HTMLElement} item - Element carrying the tenant URL in data-url
+   * @param {Object} options - Open options passed to openUrl
+   */
+  async openTenant(item, options = {}) {
+    const url = item.dataset.url;
+    if (url && SecurityUtils.isUrlSafeForNavigation(url)) {
+      try {
+        if (!(await this.confirmProductionNavigation(item))) {
+          return;
+        }
+        await this.recordNavigation(item);
+        await this.openUrl(url, { ...options, target: this.getNavigationTarget(item) });
+      } catch (error) {
+        this.logger.error("Error opening tenant", error);
+        this.showError("Failed to open tenant");
+      }
+    } else if (url) {
+      this.logger.warn("Blocked unsafe URL for tenant navigation", { url });
+      this.showError("Invalid or unsafe URL blocked");
+    }
+  }
+
+  /**
+   * Collects the tenants shown inside an organization or product group, for bulk opening
+   * (tenants that are not active are never bulk opened)
+   * @param {HTMLElement} container - .org-item or .product-group element
+   * @returns {Array} Resolved launch items with a safe URL
+   */
+  getBulkOpenItems(container) {
+    const seen = new Set();
+
+    return Array.from(container.querySelectorAll('.tenant-item'))
+      .map(tenantItem => DataProcessor.resolveLaunchItem(this.organizations, {
+        orgId: tenantItem.dataset.orgId,
+        tenantId: tenantItem.dataset.tenantId
+      }))
+      .filter(item => {
+        if (!item || !item.url || seen.has(item.tenant.id) || !DataProcessor.isTenantActive(item.tenant)) return false;
+        seen.add(item.tenant.id);
+        return SecurityUtils.isUrlSafeForNavigation(item.url);
+      });
+  }
+
+  /**
+   * Shows or hides the environment choices for opening every tenant of an org or product group
+   * @param {SVGElement} icon - Clicked open-all icon
+   */
+  toggleOpenAllMenu(icon) {
+    const container = icon.closest('.product-group') || icon.closest('.org-item');
+    const header = icon.closest('.product-header, .org-header');
+
+    const existing = container.querySelector(':scope > .open-all-menu');
+    document.querySelectorAll('.open-all-menu').forEach(menu => menu.remove());
+    if (existing) return;
+
+    const items = this.getBulkOpenItems(container);
+    const counts = {};
+    items.forEach(item => {
+      const environment = EnvironmentClassifier.getEnvironment(item.tenant);
+      if (environment) {
+        counts[environment] = (counts[environment] || 0) + 1;
+      }
+    });
+
+    const menu = document.createElement('div');
+    menu.className = 'open-all-menu';
+
+    const title = document.createElement('span');
+    title.className = 'open-all-title';
+    title.textContent = 'Open';
+    menu.appendChild(title);
+
+    const choices = [{ environment: null, label: 'All', count: items.length }];
+    DataProcessor.ENVIRONMENT_ORDER.forEach(environment => {
+      if (counts[environment]) {
+        choices.push({ environment, label: EnvironmentClassifier.getLabel(environment, true), count: counts[environment] });
+      }
+    });
+
+    choices.forEach(({ environment, label, count }) => {
+      const button = document.createElement('button');
+      button.className = environment ? `open-all-choice env-${environment}` : 'open-all-choice';
+      button.textContent = `${label} (${count})`;
+      button.addEventListener('click', async (e) => {
+        e.stopPropagation();
+        await this.openAllTenants(items, environment);
+      });
+      menu.appendChild(button);
+    });
+
+    header.after(menu);
+  }
+
+  /**
+   * Opens several tenants at once into one tab group, warning above the configured tab count
+   * @param {Array} items - Resolved launch items (all from one organization)
+   * @param {string|null} environment - Only open tenants of this environment
+   * @returns {Promise<void>}
+   */
+  async openAllTenants(items, environment = null) {
+    const selected = environment
+      ? items.filter(item => EnvironmentClassifier.getEnvironment(item.tenant) === environment)
+      : items;
+    if (selected.length === 0) {
+      this.showNotification('No tenants to open');
+      return;
+    }
+
+    const org = selected[0].org;
+    const orgName = SecurityUtils.decodeHtmlEntities(org.customName || org.name);
+    const productionCount = selected.filter(item => EnvironmentClassifier.getEnvironment(item.tenant) === 'prod').length;
+
+    const warnings = [];
+    if (selected.length > this.bulkOpenWarningThreshold) {
+      warnings.push(`This opens ${selected.length} tabs.`);
+    }
+    if (org.confirmProduction && productionCount > 0) {
+      warnings.push(`${productionCount} of them ${productionCount === 1 ? 'is a PRODUCTION tenant' : 'are PRODUCTION tenants'} (${orgName}).`);
+    }
+    if (warnings.length > 0 && !(await this.asyncConfirm(`${warnings.join(' ')} Continue?`))) {
+      return;
+    }
+
+    try {
+      // Bulk opens are not recorded in the usage history so they don't flood Recent
+      const group = TabManager.getGroupOptions(org, environment ? selected[0].tenant : null);
+      await tabManager.openAll(selected.map(item => item.url), { group });
+      this.closeView();
+    } catch (error) {
+      this.logger.error("Error opening tenants", error);
+      this.showError("Failed to open tenants");
+    }
+  }
+
+  /**
+   * Expands or collapses a product group
+   * @param {HTMLElement} productGroup - Product group element
+   * @param {boolean} expand - Force a state (defaults to toggling)
+   */
+  toggleProductGroup(productGroup, expand = productGroup.classList.contains('collapsed')) {
+    const tenantsList = productGroup.querySelector(':scope > .tenants-list');
+
+    if (expand) {
+      // Expand the group
+      productGroup.classList.remove('collapsed');
+      productGroup.classList.add('expanded');
+      tenantsList.classList.remove('hidden');
+      tenantsList.classList.add('visible');
+    } else {
+      // Collapse the group
+      productGroup.classList.remove('expanded');
+      productGroup.classList.add('collapsed');
+      tenantsList.classList.add('hidden');
+      tenantsList.classList.remove('visible');
+    }
+  }
+
+  /**
+   * Starts renaming an organization
+   * @param {HTMLElement} orgItem - Organization list item
+   */
+  editOrganizationName(orgItem) {
+    const orgId = orgItem.dataset.orgId;
+    const nameDiv = orgItem.querySelector('.org-name');
+    const nameText = nameDiv.querySelector('.name-text');
+    const currentName = nameText.textContent;
+    
+    // Get original name from organizations data
+    const org = this.organizations.find(o => o.id === orgId);
+    const originalName = org ? org.name : currentName;
+    
+    this.startEdit(nameDiv, currentName, originalName, async (newName) => {
+      await this.updateOrganizationName(orgId, newName);
+    });
+  }
+
+  /**
+   * Starts renaming a tenant
+   * @param {HTMLElement} tenantItem - Tenant element
+   */
+  editTenantName(tenantItem) {
+    const tenantId = tenantItem.dataset.tenantId;
+    const orgId = tenantItem.dataset.orgId;
+    const nameContainer = tenantItem.querySelector('.tenant-name-container');
+    const nameText = nameContainer.querySelector('.tenant-name');
+    const currentName = nameText.textContent;
+    
+    // Get original name from organizations data
+    let originalName = currentName;
+    const org = this.organizations.find(o => o.id === orgId);
+    if (org && org.productGroups) {
+      for (const group of org.productGroups) {
+        const tenant = group.tenants.find(t => t.id === tenantId);
+        if (tenant) {
+          originalName = tenantItem.dataset.defaultName || tenant.displayName || tenant.name;
+          break;
+        }
+      }
+    }
+    
+    this.startEdit(nameContainer, currentName, originalName, async (newName) => {
+      await this.updateTenantName(orgId, tenantId, newName);
+    });
+  }
+
+  /**
+   * Starts renaming an XM Cloud project
+   * @param {HTMLElement} projectGroup - Project group element
+   */
+  editProjectName(projectGroup) {
+    const { orgId, productName, projectKey } = projectGroup.dataset;
+    const header = projectGroup.querySelector(':scope > .project-header');
+    const currentName = header.querySelector('.project-name').textContent;
+
+    // Get the project name from its tenants
+    let originalName = currentName;
+    const org = this.organizations.find(o => o.id === orgId);
+    const group = org && (org.productGroups || []).find(g => g.productName === productName);
+    if (group) {
+      const projects = productAdapterRegistry.getForGroup(group).groupTenants(group, group.tenants || []);
+      const project = projects && projects.projects.find(p => p.key === projectKey);
+      if (project) {
+        originalName = project.name;
+      }
+    }
+
+    this.startEdit(header, currentName, originalName, async (newName) => {
+      await this.updateProjectName(orgId, productName, projectKey, newName);
+    });
+  }
+
+  /**
+   * Updates XM Cloud project custom name
+   * @param {string} orgId - Organization ID
+   * @param {string} productName - Product group the project belongs to
+   * @param {string} projectKey - Project key (see XmCloudAdapter.getProjectKey)
+   * @param {string} customName - New custom name (null to revert)
+   */
+  async updateProjectName(orgId, productName, projectKey, customName) {
+    try {
+      const result = await chrome.storage.local.get(['organizations']);
+      const organizations = result.organizations || [];
+
+      const org = organizations.find(o => o.id === orgId);
+      const group = org && (org.productGroups || []).find(g => g.productName === productName);
+      if (group) {
+        const projectSettings = { ...(group.projectSettings || {}) };
+        const settings = { ...(projectSettings[projectKey] || {}) };
+        if (customName === null) {
+          delete settings.customName;
+        } else {
+          settings.customName = customName;
+        }
+
+        if (Object.keys(settings).length > 0) {
+          projectSettings[projectKey] = settings;
+        } else {
+          delete projectSettings[projectKey];
+        }
+        group.projectSettings = projectSettings;
+
+        await chrome.storage.local.set({ organizations });
+
+        // Update local data without refreshing display
+        this.organizations = organizations;
+
+        this.showSuccess('Project name updated');
+        return true;
+      }
+      return false;
+    } catch (error) {
+      this.logger.error('Error updating project name', error);
+      this.showError('Failed to update project name');
+      return false;
+    }
+  }
+
+  /**
+   * Pins or unpins an XM Cloud project (pinned projects are listed first in their product group)
+   * @param {Object} target - What to pin
+   * @param {string} target.orgId - Organization ID
+   * @param {string} target.productName - Product group the project belongs to
+   * @param {string} target.projectKey - Project key
+   * @returns {Promise<boolean>} Whether the change was saved
+   */
+  async toggleProjectPin({ orgId, productName, projectKey }) {
+    try {
+      const organizations = await this.readOrganizations();
+      const org = organizations.find(o => o.id === orgId);
+      const group = org && (org.productGroups || []).find(g => g.productName === productName);
+      if (!group) {
+        this.showError('Project not found');
+        return false;
+      }
+
+      const projectSettings = { ...(group.projectSettings || {}) };
+      const settings = { ...(projectSettings[projectKey] || {}) };
+      const pinned = !settings.pinnedAt;
+      if (pinned) {
+        settings.pinnedAt = new Date().toISOString();
+      } else {
+        delete settings.pinnedAt;
+      }
+
+      if (Object.keys(settings).length > 0) {
+        projectSettings[projectKey] = settings;
+      } else {
+        delete projectSettings[projectKey];
+      }
+      group.projectSettings = projectSettings;
+
+      const success = await storageManager.saveOrganizations(organizations);
+      if (!success) {
+        throw new Error('Save operation failed');
+      }
+
+      this.organizations = organizations;
+      this.renderOrganizations();
+      this.showSuccess(pinned ? 'Project pinned' : 'Project unpinned');
+      return true;
+    } catch (error) {
+      this.logger.error('Error updating project pin', error);
+      this.showError('Failed to update pin');
+      return false;
+    }
+  }
+
+  /**
+   * Adds event listeners to organization items
+   */
+  addEventListeners() {
+    // Handle organization header clicks (expand/collapse)
+    document.querySelectorAll(".org-item.has-subsites .org-header").forEach((header) => {
+      header.addEventListener("click", async (e) => {
+        // Don't expand if delete button was clicked
+        if (e.target.closest(".delete-icon")) return;
+        
+        const orgItem = header.closest(".org-item");
+        
+        // If clicking on expand icon (or anywhere on a cross-org group), toggle expansion
+        if (e.target.closest(".expand-icon") || orgItem.classList.contains("view-group")) {
+          e.stopPropagation();
+          orgItem.classList.toggle("expanded");
+          return;
+        }
+        
+        // Otherwise, navigate to the organization
+        await this.openOrganization(orgItem, { disposition: this.getOpenDisposition(e) });
+      });
+    });
+
+    // Handle organization clicks (for orgs without subsites)
+    document.querySelectorAll(".org-item:not(.has-subsites)").forEach((item) => {
+      item.addEventListener("click", async (e) => {
+        // Don't navigate if delete button was clicked
+        if (e.target.closest(".delete-icon")) return;
+
+        await this.openOrganization(item, { disposition: this.getOpenDisposition(e) });
+      });
+    });
+
+    // Handle subsite clicks (legacy format)
+    document.querySelectorAll(".subsite-item").forEach((item) => {
+      item.addEventListener("click", async (e) => {
+        e.stopPropagation();
+        await this.openTenant(item, { disposition: this.getOpenDisposition(e) });
+      });
+    });
+
+    // Handle tenant clicks (new grouped format)
+    document.querySelectorAll(".tenant-name-container").forEach((item) => {
+      item.addEventListener("click", async (e) => {
+        e.stopPropagation();
+        await this.openTenant(item, { disposition: this.getOpenDisposition(e) });
+      });
+    });
+
+    // Handle product group header clicks (expand/collapse)
+    document.querySelectorAll(".product-header").forEach((header) => {
+      header.addEventListener("click", (e) => {
+        e.stopPropagation();
+        this.toggleProductGroup(header.closest('.product-group'));
+      });
+    });
+
+    // Handle delete button clicks
+    document.querySelectorAll(".delete-icon").forEach((btn) => {
+      btn.addEventListener("click", async (e) => {
+        e.stopPropagation();
+        const id = btn.dataset.id;
+        if (id) {
+          await this.deleteOrganization(id);
+        }
+      });
+    });
+
+    // Handle organization name edit clicks
+    document.querySelectorAll(".org-name .edit-icon").forEach((icon) => {
+      icon.addEventListener("click", (e) => {
+        e.stopPropagation();
+        this.editOrganizationName(icon.closest('.org-item'));
+      });
+    });
+
+    // Handle tenant name edit clicks
+    document.querySelectorAll(".tenant-edit-icon").forEach((icon) => {
+      icon.addEventListener("click", (e) => {
+        e.stopPropagation();
+        this.editTenantName(icon.closest('.tenant-item'));
+      });
+    });
+
+    // Handle project name edit clicks
+    document.querySelectorAll(".project-edit-icon").forEach((icon) => {
+      icon.addEventListener("click", (e) => {
+        e.stopPropagation();
+        this.editProjectName(icon.closest('.project-group'));
+      });
+    });
+
+    // Handle project pin clicks
+    document.querySelectorAll(".project-pin-icon").forEach((icon) => {
+      icon.addEventListener("click", async (e) => {
+        e.stopPropagation();
+        const { orgId, productName, projectKey } = icon.closest('.project-group').dataset;
+        await this.toggleProjectPin({ orgId, productName, projectKey });
+      });
+    });
+
+    // Handle tenant details clicks (open or close the drawer)
+    document.querySelectorAll(".tenant-item .details-icon").forEach((icon) => {
+      icon.addEventListener("click", (e) => {
+        e.stopPropagation();
+        this.toggleTenantDetails(icon.closest('.tenant-item'));
+      });
+    });
+
+    // Handle organization info clicks (open or close the panel)
+    document.querySelectorAll(".org-info-icon").forEach((icon) => {
+      icon.addEventListener("click", (e) => {
+        e.stopPropagation();
+        this.toggleOrganizationInfo(icon.closest('.org-item'));
+      });
+    });
+
+    // Handle organization pin clicks
+    document.querySelectorAll(".org-pin-icon").forEach((icon) => {
+      icon.addEventListener("click", async (e) => {
+        e.stopPropagation();
+        await this.togglePin({ orgId: icon.closest('.org-item').dataset.orgId });
+      });
+    });
+
+    // Handle bulk open icons (org rows and product group headers)
+    document.querySelectorAll(".open-all-icon").forEach((icon) => {
+      icon.addEventListener("click", (e) => {
+        e.stopPropagation();
+        this.toggleOpenAllMenu(icon);
+      });
+    });
+
+    // Handle production confirmation toggles
+    document.querySelectorAll(".confirm-prod-icon").forEach((icon) => {
+      icon.addEventListener("click", async (e) => {
+        e.stopPropagation();
+        await this.toggleProductionConfirmation(icon.closest('.org-item').dataset.orgId);
+      });
+    });
+
+    // Handle tenant pin clicks
+    document.querySelectorAll(".tenant-pin-icon").forEach((icon) => {
+      icon.addEventListener("click", async (e) => {
+        e.stopPropagation();
+        await this.togglePin({
+          orgId: icon.closest('.tenant-item').dataset.orgId,
+          tenantId: icon.closest('.tenant-item').dataset.tenantId
+        });
+      });
+    });
+
+    // Handle quick action clicks (opened here so the visit is recorded)
+    document.querySelectorAll(".tenant-action-link").forEach((link) => {
+      link.addEventListener("click", async (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        if (e.altKey && link.classList.contains('bookmark')) {
+          await this.removeBookmark(link);
+          return;
+        }
+        await this.openTenant(link, { disposition: this.getOpenDisposition(e) });
+      });
+    });
+
+    // Right-click on a quick action pins it
+    document.querySelectorAll(".tenant-action-link").forEach((link) => {
+      link.addEventListener("contextmenu", async (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        await this.togglePin({
+          orgId: link.closest('.tenant-item').dataset.orgId,
+          tenantId: link.closest('.tenant-item').dataset.tenantId,
+          actionName: link.dataset.actionName
+        });
+      });
+    });
+
+    // Handle pinned and recent item clicks
+    document.querySelectorAll("#pinned-list .launch-item, #recent-list .launch-item").forEach((item) => {
+      item.addEventListener("click", async (e) => {
+        if (e.target.closest('.unpin-btn')) {
+          e.stopPropagation();
+          await this.togglePin({
+            orgId: item.dataset.orgId,
+            tenantId: item.dataset.tenantId || null,
+            actionName: item.dataset.actionName || null
+          });
+          return;
+        }
+
+        await this.activateNavItem(item, { disposition: this.getOpenDisposition(e) });
+      });
+    });
+  }
+
+  /**
+   * Sets up keyboard navigation for the organization tree and search box
+   */
+  setupKeyboardNavigation() {
+    this.addTrackedEventListener(document, 'keydown', (e) => this.handleKeydown(e));
+  }
+
+  /**
+   * Works out where Enter should open the focused item (see DataProcessor.getKeyDisposition)
+   * @param {KeyboardEvent} e - Keydown event
+   * @returns {string} Disposition
+   */
+  getKeyDisposition(e) {
+    return DataProcessor.getKeyDisposition(e, this.openMode);
+  }
+
+  /**
+   * Middle-click opens organizations, tenants and actions in a background tab
+   */
+  setupMiddleClick() {
+    this.addTrackedEventListener(document, 'auxclick', async (e) => {
+      if (e.button !== 1) return;
+
+      const item = e.target.closest('.tenant-action-link, .launch-item, .tenant-name-container, .subsite-item, .org-header');
+      if (!item || e.target.closest('.delete-icon, .unpin-btn')) return;
+      if (item.classList.contains('org-header') && item.closest('.view-group')) return;
+
+      e.preventDefault();
+      e.stopPropagation();
+      if (item.classList.contains('tenant-action-link')) {
+        await this.openTenant(item, { disposition: 'background' });
+      } else {
+        await this.activateNavItem(item, { disposition: 'background' });
+      }
+    });
+  }
+
+  /**
+   * Gets the keyboard-navigable items that are currently visible, in display order
+   * @returns {Array<HTMLElement>} Visible navigation items
+   */
+  getVisibleNavItems() {
+    return Array.from(document.querySelectorAll('#switch-list .nav-item, #pinned-list .nav-item, #recent-list .nav-item, #org-list .nav-item'))
+      .filter(item => item.offsetParent !== null);
+  }
+
+  /**
+   * Moves keyboard focus to a navigation item
+   * @param {HTMLElement} item - Item to focus
+   */
+  focusNavItem(item) {
+    if (!item) return;
+    item.focus();
+    item.scrollIntoView({ block: 'nearest' });
+  }
+
+  /**
+   * Activates a navigation item as if it had been clicked
+   * @param {HTMLElement} item - Navigation item
+   * @param {Object} options - Open options passed to openUrl
+   */
+  async activateNavItem(item, options = {}) {
+    if (item.classList.contains('switch-item')) {
+      // Switching replaces the current tab unless a background tab was asked for
+      await this.switchEnvironment(item, {
+        disposition: options.disposition === 'background' ? 'background' : 'currentTab'
+      });
+    } else if (item.classList.contains('launch-item')) {
+      if (item.dataset.itemType === 'org') {
+        await this.openOrganization(item, options);
+      } else {
+        await this.openTenant(item, options);
+      }
+    } else if (item.classList.contains('org-header')) {
+      const orgItem = item.closest('.org-item');
+      if (orgItem.classList.contains('view-group')) {
+        orgItem.classList.toggle('expanded');
+      } else {
+        await this.openOrganization(orgItem, options);
+      }
+    } else if (item.classList.contains('product-header')) {
+      this.toggleProductGroup(item.closest('.product-group'));
+    } else if (item.classList.contains('tenant-name-container') || item.classList.contains('subsite-item')) {
+      await this.openTenant(item, options);
+    }
+  }
+
+  /**
+   * Handles keyboard navigation
+   * Arrow keys move through the tree, Enter opens (Shift/Ctrl+Enter in the background),
+   * Right/Left expand or collapse, F2 renames (organizations, projects and tenants), and typing jumps to the search box
+   * @param {KeyboardEvent} e - Keydown event
+   */
+  handleKeydown(e) {
+    const searchInput = document.getElementById('search-input');
+    const items = this.getVisibleNavItems();
+
+    if (searchInput && e.target === searchInput) {
+      if (e.key === 'ArrowDown' && items.length > 0) {
+        e.preventDefault();
+        this.focusNavItem(items[0]);
+      } else if (e.key === 'Enter' && this.searchQuery.trim() && items.length > 0) {
+        // Command palette behaviour: open the best tenant match, or the best org
+        e.preventDefault();
+        const tenantHit = items.find(item => item.classList.contains('tenant-name-container'));
+        this.activateNavItem(tenantHit || items[0], { disposition: this.getKeyDisposition(e) });
+      }
+      return;
+    }
+
+    // Leave other inputs (e.g. the rename field) alone
+    if (e.target.tagName === 'INPUT' || e.target.tagName === 'BUTTON') return;
+
+    const item = e.target.closest ? e.target.closest('.nav-item') : null;
+    if (!item) {
+      if (e.key === 'ArrowDown' && items.length > 0) {
+        e.preventDefault();
+        this.focusNavItem(items[0]);
+      }
+      return;
+    }
+
+    const index = items.indexOf(item);
+    const orgItem = item.closest('.org-item');
+    const productGroup = item.closest('.product-group');
+
+    switch (e.key) {
+      case 'ArrowDown':
+        e.preventDefault();
+        this.focusNavItem(items[index + 1]);
+        break;
+
+      case 'ArrowUp':
+        e.preventDefault();
+        if (index > 0) {
+          this.focusNavItem(items[index - 1]);
+        } else if (searchInput) {
+          searchInput.focus();
+        }
+        break;
+
+      case 'Home':
+        e.preventDefault();
+        this.focusNavItem(items[0]);
+        break;
+
+      case 'End':
+        e.preventDefault();
+        this.focusNavItem(items[items.length - 1]);
+        break;
+
+      case 'Enter':
+        e.preventDefault();
+        this.activateNavItem(item, { disposition: this.getKeyDisposition(e) });
+        break;
+
+      case 'ArrowRight':
+        e.preventDefault();
+        if (item.classList.contains('org-header') && orgItem.classList.contains('has-subsites')) {
+          if (!orgItem.classList.contains('expanded')) {
+            orgItem.classList.add('expanded');
+          } else {
+            this.focusNavItem(items[index + 1]);
+          }
+        } else if (item.classList.contains('product-header')) {
+          if (productGroup.classList.contains('collapsed')) {
+            this.toggleProductGroup(productGroup, true);
+          } else {
+            this.focusNavItem(items[index + 1]);
+          }
+        }
+        break;
+
+      case 'ArrowLeft':
+        e.preventDefault();
+        if (item.classList.contains('org-header')) {
+          orgItem.classList.remove('expanded');
+        } else if (item.classList.contains('product-header')) {
+          if (productGroup.classList.contains('expanded')) {
+            this.toggleProductGroup(productGroup, false);
+          } else {
+            // Projects sit inside their product group
+            const parentGroup = productGroup.parentElement.closest('.product-group');
+            this.focusNavItem(parentGroup
+              ? parentGroup.querySelector(':scope > .product-header')
+              : orgItem.querySelector('.org-header'));
+          }
+        } else if (productGroup) {
+          this.focusNavItem(productGroup.querySelector(':scope > .product-header'));
+        } else if (orgItem) {
+          this.focusNavItem(orgItem.querySelector('.org-header'));
+        }
+        break;
+
+      case 'F2':
+        e.preventDefault();
+        if (item.classList.contains('org-header') && !orgItem.classList.contains('view-group')) {
+          this.editOrganizationName(orgItem);
+        } else if (item.classList.contains('tenant-name-container')) {
+          this.editTenantName(item.closest('.tenant-item'));
+        } else if (item.classList.contains('project-header')) {
+          this.editProjectName(productGroup);
+        }
+        break;
+
+      default:
+        // Type-ahead: printable characters go to the search box
+        if (searchInput && e.key.length === 1 && !e.ctrlKey && !e.metaKey && !e.altKey) {
+          searchInput.focus();
+        }
+    }
   }
 
   /**
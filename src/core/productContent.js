@@ -0,0 +1,343 @@
+/**
+ * Content script for Sitecore product apps (XM Cloud, Pages, Search, Stream, ...)
+ * Works out which stored tenant the page belongs to and marks the page with its
+ * environment: a banner, a tab title prefix and a coloured favicon dot
+ */
+class ProductPageManager {
+  constructor() {
+    this.logger = Logger.createContextLogger('ProductPage');
+    this.currentUrl = window.location.href;
+    this.urlContext = null;
+    this.match = null;
+    this.preferences = null;
+    this.dismissedTenantId = null;
+    this.observer = null;
+    this.headObserver = null;
+    this.originalTitle = document.title;
+    this.taggedTitle = null;
+    this.faviconEnvironment = null;
+
+    this.init();
+  }
+
+  /**
+   * Detect the tenant and start watching for SPA navigation and data changes
+   */
+  async init() {
+    try {
+      this.preferences = await preferencesManager.getAll();
+      await this.refresh();
+      this.watchUrl();
+      this.watchHead();
+      this.watchStorage();
+    } catch (error) {
+      this.logger.error('Initialization failed', error);
+    }
+  }
+
+  /**
+   * Re-detect the tenant for the current URL and update the page decorations
+   */
+  async refresh() {
+    // SPA routes often drop the query string, so keep the last tenant seen in this document
+    const urlContext = TenantLookup.parseUrl(window.location.href);
+    if (urlContext) {
+      this.urlContext = urlContext;
+    }
+
+    if (!this.urlContext) {
+      this.logger.debug('No tenant in URL');
+      return;
+    }
+
+    const organizations = await storageManager.getOrganizations();
+    this.match = TenantLookup.findTenant(organizations, this.urlContext);
+
+    if (!this.match) {
+      this.logger.debug('Tenant not found in saved data', this.urlContext);
+    }
+
+    this.renderBanner();
+    this.applyTitleTag();
+    await this.applyFavicon();
+  }
+
+  /**
+   * Watch for client-side navigation (URL changes without a page load)
+   */
+  watchUrl() {
+    const handleUrlChange = () => {
+      if (this.currentUrl !== window.location.href) {
+        this.currentUrl = window.location.href;
+        this.refresh();
+      }
+    };
+
+    this.observer = new MutationObserver(handleUrlChange);
+    this.observer.observe(document.body || document.documentElement, { childList: true, subtree: true });
+    memoryManager.registerObserver(this.observer, 0);
+    memoryManager.addEventListener(window, 'popstate', handleUrlChange);
+  }
+
+  /**
+   * Apps rewrite their title and icons as you navigate; re-apply ours when they do
+   */
+  watchHead() {
+    this.headObserver = new MutationObserver(() => {
+      if (document.title !== this.taggedTitle) {
+        this.applyTitleTag();
+      }
+      this.keepFaviconLast();
+    });
+    this.headObserver.observe(document.head || document.documentElement, {
+      childList: true,
+      subtree: true,
+      characterData: true
+    });
+    memoryManager.registerObserver(this.headObserver, 0);
+  }
+
+  /**
+   * Refresh when tenants are recaptured, renamed or preferences change
+   */
+  watchStorage() {
+    const organizationsKey = CONFIG.get('STORAGE.ORGANIZATIONS_KEY');
+
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName === 'local' && changes[organizationsKey]) {
+        this.refresh();
+      }
+    });
+
+    preferencesManager.onChanged((preferences) => {
+      this.preferences = preferences;
+      this.refresh();
+    });
+  }
+
+  /**
+   * Get the environment of the matched tenant
+   * @returns {string|null} Normalized environment
+   */
+  getEnvironment() {
+    return this.match ? EnvironmentClassifier.getEnvironment(this.match.tenant) : null;
+  }
+
+  /**
+   * Check whether a page decoration is enabled for the matched tenant's environment
+   * @param {string} preferenceKey - Preference listing the environments, e.g. 'bannerEnvironments'
+   * @returns {string|null} The environment when enabled, otherwise null
+   */
+  getEnabledEnvironment(preferenceKey) {
+    const environment = this.getEnvironment();
+    return environment && this.preferences[preferenceKey].includes(environment) ? environment : null;
+  }
+
+  /**
+   * Get the name to show for the matched tenant
+   * @returns {string} Custom name, display name or technical name
+   */
+  getTenantLabel() {
+    const { tenant } = this.match;
+    return SecurityUtils.decodeHtmlEntities(tenant.customName || tenant.displayName || tenant.name);
+  }
+
+  /**
+   * Prefix the tab title with the environment and tenant, e.g. "[PROD] Acme XM - Pages"
+   */
+  applyTitleTag() {
+    // Anything other than our own title is the app's latest title
+    if (document.title !== this.taggedTitle) {
+      this.originalTitle = document.title;
+    }
+
+    const environment = this.match ? this.getEnabledEnvironment('titleTagEnvironments') : null;
+    if (!environment) {
+      if (this.taggedTitle && document.title === this.taggedTitle) {
+        document.title = this.originalTitle;
+      }
+      this.taggedTitle = null;
+      return;
+    }
+
+    const prefix = `[${EnvironmentClassifier.getLabel(environment, true)}] ${this.getTenantLabel()}`;
+    this.taggedTitle = this.originalTitle ? `${prefix} - ${this.originalTitle}` : prefix;
+
+    if (document.title !== this.taggedTitle) {
+      document.title = this.taggedTitle;
+    }
+  }
+
+  /**
+   * Replace the favicon with the page icon plus an environment-coloured dot
+   */
+  async applyFavicon() {
+    const environment = this.match ? this.getEnabledEnvironment('faviconEnvironments') : null;
+    const existing = document.getElementById('scql-favicon');
+
+    if (!environment) {
+      if (existing) {
+        existing.remove();
+        this.restorePageFavicon();
+      }
+      this.faviconEnvironment = null;
+      return;
+    }
+
+    if (existing && this.faviconEnvironment === environment) {
+      return;
+    }
+    this.faviconEnvironment = environment;
+
+    const href = await this.drawFavicon(EnvironmentClassifier.ENVIRONMENTS[environment].color);
+    // The environment may have changed while the page icon was loading
+    if (this.faviconEnvironment !== environment) {
+      return;
+    }
+
+    const link = document.getElementById('scql-favicon') || document.createElement('link');
+    link.id = 'scql-favicon';
+    link.rel = 'icon';
+    link.type = 'image/png';
+    link.href = href;
+    (document.head || document.documentElement).appendChild(link);
+  }
+
+  /**
+   * Keep our icon after any icon links the app adds, as the browser uses the last one
+   */
+  keepFaviconLast() {
+    const link = document.getElementById('scql-favicon');
+    if (!link) return;
+
+    const icons = document.querySelectorAll('link[rel~="icon"]');
+    if (icons[icons.length - 1] !== link) {
+      link.parentNode.appendChild(link);
+    }
+  }
+
+  /**
+   * Nudge the browser back to the page's own icon after ours is removed
+   */
+  restorePageFavicon() {
+    const icons = document.querySelectorAll('link[rel~="icon"]');
+    if (icons.length > 0) {
+      const pageIcon = icons[icons.length - 1];
+      pageIcon.href = pageIcon.href;
+    }
+  }
+
+  /**
+   * Load the page's current favicon, if it can be drawn onto a canvas
+   * @returns {Promise<HTMLImageElement|null>} Loaded image, or null when missing or cross-origin
+   */
+  async loadPageFavicon() {
+    const icons = document.querySelectorAll('link[rel~="icon"]:not(#scql-favicon)');
+    const source = icons.length > 0 ? icons[icons.length - 1].href : `${window.location.origin}/favicon.ico`;
+
+    const loaded = new Promise((resolve, reject) => {
+      const image = new Image();
+      // Without CORS the canvas would be tainted and could not be exported
+      image.crossOrigin = 'anonymous';
+      image.onload = () => resolve(image);
+      image.onerror = () => reject(new Error('Favicon failed to load'));
+      image.src = source;
+    });
+
+    try {
+      return await AsyncUtils.withTimeout(loaded, CONFIG.get('TIMEOUTS.FAVICON_LOAD'), 'favicon load');
+    } catch (error) {
+      this.logger.debug('Using a plain environment icon', { source, error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Draw the tagged favicon
+   * @param {string} color - Environment colour
+   * @returns {Promise<string>} PNG data URL
+   */
+  async drawFavicon(color) {
+    const size = 32;
+    const canvas = document.createElement('canvas');
+    canvas.width = size;
+    canvas.height = size;
+    const context = canvas.getContext('2d');
+
+    const pageIcon = await this.loadPageFavicon();
+    if (pageIcon) {
+      context.drawImage(pageIcon, 0, 0, size, size);
+    }
+
+    // A corner dot over the page icon, or a full circle when there is none
+    const radius = pageIcon ? 9 : 14;
+    const center = pageIcon ? size - radius - 1 : size / 2;
+    context.beginPath();
+    context.arc(center, center, radius, 0, 2 * Math.PI);
+    context.fillStyle = color;
+    context.fill();
+    context.lineWidth = 2;
+    context.strokeStyle = '#ffffff';
+    context.stroke();
+
+    return canvas.toDataURL('image/png');
+  }
+
+  /**
+   * Draw (or remove) the environment banner for the matched tenant
+   */
+  renderBanner() {
+    const existing = document.getElementById('scql-environment-banner');
+    const environment = this.match ? this.getEnabledEnvironment('bannerEnvironments') : null;
+
+    if (!environment || this.dismissedTenantId === this.match.tenant.id) {
+      if (existing) {
+        existing.remove();
+      }
+      return;
+    }
+
+    const { org, tenant } = this.match;
+    const orgName = SecurityUtils.decodeHtmlEntities(org.customName || org.name);
+    const tenantName = this.getTenantLabel();
+
+    const banner = existing || document.createElement('div');
+    banner.id = 'scql-environment-banner';
+    banner.className = `scql-banner scql-env-${environment}`;
+    banner.setAttribute('role', 'status');
+    banner.innerHTML = '';
+
+    const environmentLabel = document.createElement('span');
+    environmentLabel.className = 'scql-banner-env';
+    environmentLabel.textContent = EnvironmentClassifier.getLabel(environment, true);
+    banner.appendChild(environmentLabel);
+
+    const text = document.createElement('span');
+    text.className = 'scql-banner-text';
+    text.textContent = `${orgName} · ${tenantName}`;
+    text.title = text.textContent;
+    banner.appendChild(text);
+
+    const dismissButton = document.createElement('button');
+    dismissButton.className = 'scql-banner-dismiss';
+    dismissButton.type = 'button';
+    dismissButton.textContent = '✕';
+    dismissButton.title = 'Hide until the page is reloaded';
+    dismissButton.addEventListener('click', () => {
+      this.dismissedTenantId = tenant.id;
+      banner.remove();
+    });
+    banner.appendChild(dismissButton);
+
+    if (!existing) {
+      document.documentElement.appendChild(banner);
+    }
+  }
+}
+
+// Initialize once the page body exists
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', () => new ProductPageManager());
+} else {
+  new ProductPageManager();
+}
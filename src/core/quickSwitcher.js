@@ -0,0 +1,459 @@
+/**
+ * In-page quick switcher for Sitecore hosts
+ * Alt+Shift+K opens a searchable overlay of organizations, tenants and quick actions,
+ * drawn in a shadow root so page styles cannot reach it. With nothing typed it lists
+ * what belongs with the current page first: the tenant's other environments, then the
+ * organization's other products, then the most used items.
+ */
+class QuickSwitcher {
+  constructor() {
+    this.logger = Logger.createContextLogger('QuickSwitcher');
+    this.host = null;
+    this.elements = {};
+    this.organizations = [];
+    this.preferences = null;
+    this.history = [];
+    this.context = { match: null, orgId: null };
+    this.entries = [];
+    this.selectedIndex = 0;
+    this.confirmingKey = null;
+    this.isOpen = false;
+    this.previousFocus = null;
+
+    this.init();
+  }
+
+  /**
+   * Listen for the shortcut (capture phase, so page apps cannot swallow it)
+   */
+  init() {
+    memoryManager.addEventListener(window, 'keydown', (e) => {
+      if (!e.altKey || !e.shiftKey || e.ctrlKey || e.metaKey || e.code !== 'KeyK') return;
+
+      e.preventDefault();
+      e.stopPropagation();
+      if (this.isOpen) {
+        this.close();
+      } else {
+        this.open();
+      }
+    }, true);
+  }
+
+  /**
+   * Load fresh data, work out the page context and show the overlay
+   */
+  async open() {
+    try {
+      const [organizations, preferences, history] = await Promise.all([
+        storageManager.getOrganizations(),
+        preferencesManager.getAll(),
+        usageManager.getHistory()
+      ]);
+      this.organizations = organizations;
+      this.preferences = preferences;
+      this.history = history;
+      this.context = this.getPageContext();
+
+      await this.createOverlay();
+      this.previousFocus = document.activeElement;
+      this.elements.input.value = '';
+      this.confirmingKey = null;
+      this.isOpen = true;
+      this.host.classList.add('open');
+      this.render();
+      this.elements.input.focus();
+    } catch (error) {
+      this.logger.error('Failed to open the quick switcher', error);
+    }
+  }
+
+  /**
+   * Hide the overlay and give focus back to the page
+   */
+  close() {
+    if (!this.isOpen) return;
+
+    this.isOpen = false;
+    this.host.classList.remove('open');
+    if (this.previousFocus && typeof this.previousFocus.focus === 'function') {
+      this.previousFocus.focus();
+    }
+    this.previousFocus = null;
+  }
+
+  /**
+   * Work out the stored tenant (or organization) the page belongs to
+   * @returns {Object} { match, orgId } where match is a TenantLookup.findTenant result or null
+   */
+  getPageContext() {
+    const urlContext = TenantLookup.parseUrl(window.location.href);
+    const match = urlContext ? TenantLookup.findTenant(this.organizations, urlContext) : null;
+    const orgId = match ? match.org.id : new URLSearchParams(window.location.search).get('organization');
+
+    return { match, orgId };
+  }
+
+  /**
+   * Build the overlay once; it is hidden between uses
+   * @returns {Promise<void>} Resolves when the stylesheet has loaded (or given up)
+   */
+  async createOverlay() {
+    if (this.host) return;
+
+    this.host = document.createElement('div');
+    this.host.id = 'scql-quick-switcher';
+    const shadow = this.host.attachShadow({ mode: 'closed' });
+
+    // Styles come from a packaged stylesheet: the extension CSP allows no inline styles
+    const stylesheet = document.createElement('link');
+    stylesheet.rel = 'stylesheet';
+    stylesheet.href = chrome.runtime.getURL('ui/quickSwitcher.css');
+    const loaded = new Promise(resolve => {
+      memoryManager.addEventListener(stylesheet, 'load', resolve);
+      memoryManager.addEventListener(stylesheet, 'error', resolve);
+    });
+    shadow.appendChild(stylesheet);
+
+    const backdrop = document.createElement('div');
+    backdrop.className = 'backdrop';
+    shadow.appendChild(backdrop);
+
+    const panel = document.createElement('div');
+    panel.className = 'panel';
+    panel.setAttribute('role', 'dialog');
+    panel.setAttribute('aria-label', 'Sitecore Quicklinks');
+
+    const input = document.createElement('input');
+    input.className = 'search';
+    input.type = 'text';
+    input.placeholder = 'Search organizations, tenants and actions';
+    input.spellcheck = false;
+    input.setAttribute('autocomplete', 'off');
+    panel.appendChild(input);
+
+    const list = document.createElement('ul');
+    list.className = 'results';
+    list.setAttribute('role', 'listbox');
+    panel.appendChild(list);
+
+    const hint = document.createElement('div');
+    hint.className = 'hint';
+    panel.appendChild(hint);
+
+    shadow.appendChild(panel);
+    this.elements = { backdrop, panel, input, list, hint };
+    this.setupOverlayEvents();
+
+    // Hidden until the stylesheet (which shows it only while open) has loaded
+    this.host.hidden = true;
+    document.documentElement.appendChild(this.host);
+    await AsyncUtils.withTimeout(loaded, CONFIG.get('TIMEOUTS.OVERLAY_STYLES_LOAD'), 'quick switcher styles')
+      .catch(error => this.logger.debug('Stylesheet not confirmed loaded', error.message));
+    this.host.hidden = false;
+  }
+
+  /**
+   * Wire up the overlay (delegated listeners, added once)
+   */
+  setupOverlayEvents() {
+    const { backdrop, panel, input, list } = this.elements;
+
+    memoryManager.addEventListener(backdrop, 'click', () => this.close());
+
+    memoryManager.addEventListener(input, 'input', () => {
+      this.confirmingKey = null;
+      this.render();
+    });
+
+    memoryManager.addEventListener(input, 'keydown', (e) => this.handleKeydown(e));
+
+    memoryManager.addEventListener(list, 'click', (e) => {
+      const itemElement = e.target.closest('.item');
+      if (itemElement) {
+        this.openEntry(Number(itemElement.dataset.index), e);
+      }
+    });
+
+    memoryManager.addEventListener(list, 'mousemove', (e) => {
+      const itemElement = e.target.closest('.item');
+      if (itemElement && Number(itemElement.dataset.index) !== this.selectedIndex) {
+        this.select(Number(itemElement.dataset.index));
+      }
+    });
+
+    // Keep typing in the overlay away from the page's own shortcuts
+    ['keydown', 'keyup', 'keypress'].forEach(eventName => {
+      memoryManager.addEventListener(panel, eventName, (e) => e.stopPropagation());
+    });
+  }
+
+  /**
+   * Keyboard navigation in the search box
+   * @param {KeyboardEvent} e - Key event
+   */
+  handleKeydown(e) {
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      this.close();
+    } else if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      if (this.entries.length > 0) {
+        const offset = e.key === 'ArrowDown' ? 1 : -1;
+        this.select((this.selectedIndex + offset + this.entries.length) % this.entries.length);
+      }
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      this.openEntry(this.selectedIndex, e);
+    } else if (e.key === 'Tab') {
+      // Focus stays in the search box while the overlay is open
+      e.preventDefault();
+    }
+  }
+
+  /**
+   * Extra ranking for items that belong with the current page
+   * @param {Object} item - Launch item
+   * @returns {number} Boost
+   */
+  getContextBoost(item) {
+    const { match, orgId } = this.context;
+    if (match && item.group && item.group.productName === match.group.productName && item.org.id === match.org.id) {
+      return 50;
+    }
+    return item.org.id === orgId ? 25 : 0;
+  }
+
+  /**
+   * Turn a tenant of the current product into an environment switch for the current page
+   * @param {Object} item - Launch item
+   * @returns {Object} Entry { item, isSwitch }
+   */
+  toEntry(item) {
+    const { match } = this.context;
+    if (match && item.type === 'tenant' && item.tenant.id !== match.tenant.id
+      && match.group.tenants.some(tenant => tenant.id === item.tenant.id)) {
+      const url = TenantLookup.buildSiblingUrl(window.location.href, match.tenant, item.tenant);
+      if (url) {
+        return { item: { ...item, url }, isSwitch: true };
+      }
+    }
+    return { item, isSwitch: false };
+  }
+
+  /**
+   * Build the sections to show for the typed text
+   * @param {string} query - Search text
+   * @returns {Array} Sections { title, entries }
+   */
+  buildSections(query) {
+    const limit = CONFIG.get('UI.MAX_SEARCH_RESULTS', 20);
+    const options = { aliases: this.preferences.omniboxAliases, history: this.history, limit };
+
+    if (query.trim()) {
+      const results = omniboxManager.search(this.organizations, query, {
+        ...options,
+        boost: item => this.getContextBoost(item)
+      });
+      return [{ title: 'Results', entries: results.map(item => this.toEntry(item)) }];
+    }
+
+    const sections = [];
+    const seen = new Set();
+    const keyOf = item => UsageManager.getEntryKey(OmniboxManager.getTarget(item));
+    const addSection = (title, items) => {
+      const entries = items
+        .filter(item => item.url && !seen.has(keyOf(item)))
+        .map(item => {
+          seen.add(keyOf(item));
+          return this.toEntry(item);
+        });
+      if (entries.length > 0) {
+        sections.push({ title, entries });
+      }
+    };
+
+    const { match, orgId } = this.context;
+    if (match) {
+      seen.add(keyOf({ org: match.org, tenant: match.tenant }));
+      addSection('Other environments', TenantLookup.getSiblingTenants(match).map(tenant => ({
+        type: 'tenant', org: match.org, group: match.group, tenant, url: tenant.url
+      })));
+    }
+
+    const org = this.organizations.find(o => o.id === orgId);
+    if (org) {
+      const orgName = SecurityUtils.decodeHtmlEntities(org.customName || org.name);
+      const products = [];
+      (org.productGroups || []).forEach(group => {
+        if (match && group === match.group) return;
+        (group.tenants || []).forEach(tenant => {
+          products.push({ type: 'tenant', org, group, tenant, url: tenant.url });
+        });
+      });
+      addSection(match ? `Other products in ${orgName}` : `Products in ${orgName}`, products);
+    }
+
+    addSection('Most used', omniboxManager.search(this.organizations, '', options));
+    return sections;
+  }
+
+  /**
+   * Render the result list for the current search text
+   */
+  render() {
+    const { list } = this.elements;
+    const sections = this.buildSections(this.elements.input.value);
+
+    list.innerHTML = '';
+    this.entries = [];
+
+    sections.forEach(section => {
+      const title = document.createElement('li');
+      title.className = 'section-title';
+      title.textContent = section.title;
+      list.appendChild(title);
+
+      section.entries.forEach(entry => {
+        list.appendChild(this.createItemElement(entry, this.entries.length));
+        this.entries.push(entry);
+      });
+    });
+
+    if (this.entries.length === 0) {
+      const empty = document.createElement('li');
+      empty.className = 'empty';
+      empty.textContent = this.organizations.length > 0
+        ? 'No matches'
+        : 'Nothing saved yet. Open the Sitecore Cloud Portal to capture your organizations.';
+      list.appendChild(empty);
+    }
+
+    this.select(0);
+  }
+
+  /**
+   * Create a result row
+   * @param {Object} entry - { item, isSwitch }
+   * @param {number} index - Position among the results
+   * @returns {HTMLElement} Row
+   */
+  createItemElement({ item, isSwitch }, index) {
+    const { name, context, environment } = OmniboxManager.describe(item);
+
+    const li = document.createElement('li');
+    li.className = `item type-${item.type}`;
+    li.dataset.index = index;
+    li.setAttribute('role', 'option');
+
+    const badge = document.createElement('span');
+    badge.className = environment ? `env-badge env-${environment}` : 'env-badge empty';
+    badge.textContent = environment ? EnvironmentClassifier.getLabel(environment, true) : '';
+    li.appendChild(badge);
+
+    const text = document.createElement('span');
+    text.className = 'text';
+
+    const nameElement = document.createElement('span');
+    nameElement.className = 'name';
+    nameElement.textContent = name;
+    text.appendChild(nameElement);
+
+    const contextElement = document.createElement('span');
+    contextElement.className = 'context';
+    contextElement.textContent = isSwitch ? `Same page · ${context}` : context;
+    text.appendChild(contextElement);
+
+    li.appendChild(text);
+    return li;
+  }
+
+  /**
+   * Highlight a result and describe what Enter will do
+   * @param {number} index - Position among the results
+   */
+  select(index) {
+    this.selectedIndex = index;
+
+    this.elements.list.querySelectorAll('.item').forEach(itemElement => {
+      const selected = Number(itemElement.dataset.index) === index;
+      itemElement.classList.toggle('selected', selected);
+      itemElement.setAttribute('aria-selected', String(selected));
+      if (selected) {
+        itemElement.scrollIntoView({ block: 'nearest' });
+      }
+    });
+
+    const entry = this.entries[index];
+    const confirming = entry && this.confirmingKey === this.getEntryKey(entry);
+    this.elements.hint.classList.toggle('warning', !!confirming);
+    this.elements.hint.textContent = confirming
+      ? 'This is PRODUCTION. Press Enter again to open it.'
+      : '↑↓ move · Enter open · Shift/Ctrl+Enter background tab · Esc close';
+  }
+
+  /**
+   * Key identifying an entry (for the production confirmation)
+   * @param {Object} entry - { item, isSwitch }
+   * @returns {string} Key
+   */
+  getEntryKey(entry) {
+    return `${UsageManager.getEntryKey(OmniboxManager.getTarget(entry.item))}|${entry.item.url}`;
+  }
+
+  /**
+   * Work out where to open, following the popup: Shift or Ctrl/Cmd+Enter for a background tab;
+   * Ctrl/Cmd+click for a background tab and Shift+click for a new window; otherwise the open mode
+   * (environment switches replace the page)
+   * @param {Event} e - Key or mouse event
+   * @param {Object} entry - { item, isSwitch }
+   * @returns {string} Disposition
+   */
+  getDisposition(e, entry) {
+    const fallback = entry.isSwitch ? 'currentTab' : this.preferences.openMode;
+    if (e && e.type === 'keydown') return DataProcessor.getKeyDisposition(e, fallback);
+    if (e && (e.ctrlKey || e.metaKey)) return 'background';
+    if (e && e.shiftKey) return 'newWindow';
+    return fallback;
+  }
+
+  /**
+   * Open a result through the background script, which applies the navigation rules
+   * @param {number} index - Position among the results
+   * @param {Event} e - Key or mouse event
+   */
+  async openEntry(index, e) {
+    const entry = this.entries[index];
+    if (!entry) return;
+
+    // Production tenants of guarded organizations need a second Enter (or click)
+    const key = this.getEntryKey(entry);
+    if (DataProcessor.requiresProductionConfirmation(entry.item) && this.confirmingKey !== key) {
+      this.confirmingKey = key;
+      this.select(index);
+      return;
+    }
+
+    const disposition = this.getDisposition(e, entry);
+    try {
+      const response = await chrome.runtime.sendMessage({
+        type: 'OPEN_LAUNCH_ITEM',
+        target: OmniboxManager.getTarget(entry.item),
+        url: entry.item.url,
+        disposition
+      });
+      if (!response || !response.opened) {
+        this.logger.warn('The item could not be opened', { url: entry.item.url });
+      }
+    } catch (error) {
+      this.logger.error('Failed to open item', error);
+    }
+
+    if (disposition !== 'background') {
+      this.close();
+    }
+  }
+}
+
+// Initialize (the shortcut works as soon as the script runs)
+const quickSwitcher = new QuickSwitcher();
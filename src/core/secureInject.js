@@ -516,6 +516,7 @@
               type: orgData?.type || 'standard',
               region: orgData?.region || orgData?.defaultDeploymentRegion || 'us-east-1',
               accountId: orgData?.accountId || null,
+              createdBy: orgData?.createdBy || null,
               mfaRequired: orgData?.mfa?.required || false,
               url: `https://portal.sitecorecloud.io/?organization=${orgId}`,
               lastUpdated: new Date().toISOString(),
@@ -0,0 +1,202 @@
+/**
+ * Context Menu Manager
+ * Builds the right-click menus for Sitecore links and product app pages and works out
+ * what they refer to from the tenantId, tenantName and organization URL parameters
+ */
+
+class ContextMenuManager {
+  /**
+   * Menu item IDs (organization entries are OPEN_IN_ORGANIZATION + ':' + org ID)
+   */
+  static MENU_IDS = {
+    OPEN_IN_ORGANIZATION: 'open-in-organization',
+    COPY_TENANT: 'copy-tenant',
+    COPY_TENANT_NAME: 'copy-tenant-name',
+    COPY_TENANT_ID: 'copy-tenant-id',
+    SAVE_BOOKMARK: 'save-tenant-bookmark',
+    SHOW_IN_QUICKLINKS: 'show-in-quicklinks'
+  };
+
+  /**
+   * Links and pages the menus are offered on
+   */
+  static URL_PATTERNS = ['https://*.sitecorecloud.io/*'];
+
+  constructor() {
+    // Check if Logger is available (not loaded in every context)
+    if (typeof Logger !== 'undefined') {
+      this.logger = Logger.createContextLogger('ContextMenuManager');
+    } else {
+      // Fallback logger
+      this.logger = {
+        debug: (...args) => console.log('[ContextMenuManager]', ...args),
+        info: (...args) => console.log('[ContextMenuManager]', ...args),
+        warn: (...args) => console.warn('[ContextMenuManager]', ...args),
+        error: (...args) => console.error('[ContextMenuManager]', ...args)
+      };
+    }
+
+    // Rebuilds are queued so removeAll/create calls never interleave (duplicate IDs throw)
+    this.rebuildQueue = Promise.resolve();
+  }
+
+  /**
+   * Create a menu item, logging (instead of throwing) when Chrome rejects it
+   * @param {Object} properties - chrome.contextMenus.create properties
+   */
+  createItem(properties) {
+    chrome.contextMenus.create(properties, () => {
+      if (chrome.runtime.lastError) {
+        this.logger.warn('Failed to create context menu item', {
+          id: properties.id,
+          error: chrome.runtime.lastError.message
+        });
+      }
+    });
+  }
+
+  /**
+   * Replace all menus, listing the stored organizations under "Open in organization…"
+   * @param {Array} organizations - Stored organizations
+   * @returns {Promise<void>}
+   */
+  rebuild(organizations) {
+    this.rebuildQueue = this.rebuildQueue
+      .then(() => this.createMenus(organizations))
+      .catch(error => this.logger.error('Failed to build context menus', error));
+    return this.rebuildQueue;
+  }
+
+  /**
+   * Create the menus from scratch
+   * @param {Array} organizations - Stored organizations
+   * @returns {Promise<void>}
+   */
+  async createMenus(organizations) {
+    const ids = ContextMenuManager.MENU_IDS;
+    const linkMenu = { contexts: ['link'], targetUrlPatterns: ContextMenuManager.URL_PATTERNS };
+    const pageMenu = { contexts: ['page'], documentUrlPatterns: ContextMenuManager.URL_PATTERNS };
+
+    await chrome.contextMenus.removeAll();
+
+    this.createItem({ id: ids.OPEN_IN_ORGANIZATION, title: 'Open in organization…', ...linkMenu });
+    const sorted = [...organizations].sort((a, b) =>
+      ContextMenuManager.getOrganizationLabel(a).localeCompare(ContextMenuManager.getOrganizationLabel(b)));
+    sorted.forEach(org => {
+      this.createItem({
+        id: `${ids.OPEN_IN_ORGANIZATION}:${org.id}`,
+        parentId: ids.OPEN_IN_ORGANIZATION,
+        title: ContextMenuManager.getOrganizationLabel(org),
+        ...linkMenu
+      });
+    });
+    if (sorted.length === 0) {
+      this.createItem({
+        id: `${ids.OPEN_IN_ORGANIZATION}:none`,
+        parentId: ids.OPEN_IN_ORGANIZATION,
+        title: 'No saved organizations',
+        enabled: false,
+        ...linkMenu
+      });
+    }
+
+    this.createItem({ id: ids.COPY_TENANT, title: 'Copy tenant name/ID', ...linkMenu });
+    this.createItem({ id: ids.COPY_TENANT_NAME, parentId: ids.COPY_TENANT, title: 'Tenant name', ...linkMenu });
+    this.createItem({ id: ids.COPY_TENANT_ID, parentId: ids.COPY_TENANT, title: 'Tenant ID', ...linkMenu });
+
+    this.createItem({ id: ids.SAVE_BOOKMARK, title: 'Save this page as a tenant bookmark', ...pageMenu });
+    this.createItem({ id: ids.SHOW_IN_QUICKLINKS, title: 'Show in Quicklinks', ...pageMenu });
+
+    this.logger.debug('Context menus built', { organizations: sorted.length });
+  }
+
+  /**
+   * Name shown for an organization (custom name first)
+   * @param {Object} org - Stored organization
+   * @returns {string} Decoded name
+   */
+  static getOrganizationLabel(org) {
+    return TenantLookup.decode(org.customName || org.name || org.id);
+  }
+
+  /**
+   * Get the organization ID of an "Open in organization…" entry
+   * @param {string} menuItemId - Clicked menu item ID
+   * @returns {string|null} Organization ID
+   */
+  static getOrganizationId(menuItemId) {
+    const prefix = `${this.MENU_IDS.OPEN_IN_ORGANIZATION}:`;
+    const id = String(menuItemId);
+    return id.startsWith(prefix) ? id.slice(prefix.length) : null;
+  }
+
+  /**
+   * Point a link at another organization by setting its organization parameter
+   * @param {string} linkUrl - Link that was right-clicked
+   * @param {string} orgId - Organization to open it in
+   * @returns {string|null} URL, or null when the link is not a valid URL
+   */
+  static buildOrganizationUrl(linkUrl, orgId) {
+    try {
+      const url = new URL(linkUrl);
+      url.searchParams.set('organization', orgId);
+      return url.toString();
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Work out the tenant a link points at, from stored data when it is known and
+   * otherwise from the link's own parameters
+   * @param {Array} organizations - Stored organizations
+   * @param {string} url - Link URL
+   * @returns {Object|null} { name, id } (either may be null), or null when the link names no tenant
+   */
+  static describeTenant(organizations, url) {
+    const context = TenantLookup.parseUrl(url);
+    if (!context) return null;
+
+    const match = TenantLookup.findTenant(organizations, context);
+    if (match) {
+      return {
+        name: match.tenant.name ? TenantLookup.decode(match.tenant.name) : null,
+        id: match.tenant.id || null
+      };
+    }
+
+    return { name: context.tenantName || null, id: context.tenantId || null };
+  }
+
+  /**
+   * Strip the environment tag the product content script adds to tab titles
+   * ("[PROD] Acme XM - Pages" becomes "Pages")
+   * @param {string} title - Tab title
+   * @param {Object} match - Result of TenantLookup.findTenant for the page
+   * @returns {string} Title to name a bookmark after
+   */
+  static getPageTitle(title, match) {
+    const { tenant } = match;
+    const tenantLabel = TenantLookup.decode(tenant.customName || tenant.displayName || tenant.name);
+    const environment = EnvironmentClassifier.getEnvironment(tenant);
+    const tag = environment ? `[${EnvironmentClassifier.getLabel(environment, true)}] ${tenantLabel}` : null;
+
+    if (!title || title === tag) return tenantLabel;
+    if (tag && title.startsWith(`${tag} - `)) return title.slice(tag.length + 3);
+    return title;
+  }
+}
+
+// Create global instance
+const contextMenuManager = new ContextMenuManager();
+
+// Export for module use
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { ContextMenuManager, contextMenuManager };
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+  window.ContextMenuManager = ContextMenuManager;
+  window.contextMenuManager = contextMenuManager;
+}
@@ -0,0 +1,324 @@
+/**
+ * Omnibox Manager
+ * Suggests organizations, tenants and quick actions for the "sc" address bar keyword,
+ * ranked by how well they match and how often and recently they were opened
+ */
+
+class OmniboxManager {
+  /**
+   * Accepted alias format: a short lowercase word
+   */
+  static ALIAS_PATTERN = /^[a-z0-9][a-z0-9_-]{0,19}$/;
+
+  /**
+   * Maximum number of aliases kept in preferences
+   */
+  static MAX_ALIASES = 100;
+
+  /**
+   * Score a term gets when it is an alias of the item (beats any name match)
+   */
+  static ALIAS_SCORE = 200;
+
+  constructor() {
+    // Check if Logger is available (not loaded in every context)
+    if (typeof Logger !== 'undefined') {
+      this.logger = Logger.createContextLogger('OmniboxManager');
+    } else {
+      // Fallback logger
+      this.logger = {
+        debug: (...args) => console.log('[OmniboxManager]', ...args),
+        info: (...args) => console.log('[OmniboxManager]', ...args),
+        warn: (...args) => console.warn('[OmniboxManager]', ...args),
+        error: (...args) => console.error('[OmniboxManager]', ...args)
+      };
+    }
+
+    // Check if CONFIG is available, otherwise use defaults
+    this.config = typeof CONFIG !== 'undefined' ? CONFIG : {
+      get: (path, defaultValue) => {
+        const defaults = {
+          'UI.MAX_OMNIBOX_SUGGESTIONS': 8
+        };
+        return defaults[path] || defaultValue;
+      }
+    };
+  }
+
+  /**
+   * Check a single alias definition
+   * @param {Object} alias - { alias, orgId, tenantId }
+   * @returns {boolean} Whether the alias is well formed
+   */
+  static isValidAlias(alias) {
+    return !!alias
+      && typeof alias.alias === 'string'
+      && OmniboxManager.ALIAS_PATTERN.test(alias.alias)
+      && typeof alias.orgId === 'string'
+      && alias.orgId.length > 0
+      && (alias.tenantId === undefined || alias.tenantId === null || typeof alias.tenantId === 'string');
+  }
+
+  /**
+   * Check a complete alias list (used by the preferences schema)
+   * @param {Array} aliases - Alias definitions
+   * @returns {boolean} Whether the list can be stored
+   */
+  static isValidAliasList(aliases) {
+    if (!Array.isArray(aliases) || aliases.length > OmniboxManager.MAX_ALIASES) return false;
+
+    const names = aliases.map(alias => alias && alias.alias);
+    return aliases.every(alias => OmniboxManager.isValidAlias(alias))
+      && new Set(names).size === names.length;
+  }
+
+  /**
+   * Flatten stored organizations into launchable items (same shape as DataProcessor.resolveLaunchItem)
+   * @param {Array} organizations - Stored organizations
+   * @returns {Array} Org, tenant and action items that have a URL
+   */
+  static buildCandidates(organizations) {
+    const candidates = [];
+
+    organizations.forEach(org => {
+      if (org.url) {
+        candidates.push({ type: 'org', org, url: org.url });
+      }
+
+      (org.productGroups || []).forEach(group => {
+        (group.tenants || []).forEach(tenant => {
+          if (tenant.url) {
+            candidates.push({ type: 'tenant', org, group, tenant, url: tenant.url });
+          }
+          DataProcessor.getTenantActions(tenant).forEach(action => {
+            if (action.url) {
+              candidates.push({ type: 'action', org, group, tenant, action, url: action.url });
+            }
+          });
+        });
+      });
+    });
+
+    return candidates;
+  }
+
+  /**
+   * Get the navigation target of a launch item, as recorded in the usage history
+   * @param {Object} item - Launch item
+   * @returns {Object} { orgId, tenantId, actionName }
+   */
+  static getTarget(item) {
+    return {
+      orgId: item.org.id,
+      tenantId: item.tenant ? item.tenant.id : null,
+      actionName: item.action ? item.action.name : null
+    };
+  }
+
+  /**
+   * Texts a term can match, split by what they describe
+   * @param {Object} item - Launch item
+   * @returns {Object} { org, tenant, action } arrays of [text, options] tuples
+   */
+  static getSearchFields(item) {
+    const fields = {
+      org: [[item.org.customName], [item.org.name], [item.org.displayName]],
+      tenant: [],
+      action: []
+    };
+
+    if (item.tenant) {
+      const environment = EnvironmentClassifier.getEnvironment(item.tenant);
+      fields.tenant.push(
+        [item.tenant.customName],
+        [item.tenant.displayName],
+        [item.tenant.name],
+        [item.group.productName]
+      );
+      if (environment) {
+        fields.tenant.push(
+          [environment, { exact: true }],
+          [EnvironmentClassifier.getLabel(environment), { exact: true }]
+        );
+      }
+    }
+    if (item.action) {
+      fields.action.push([item.action.name]);
+    }
+
+    return fields;
+  }
+
+  /**
+   * Check whether an alias covers a launch item (an org alias covers its tenants and actions)
+   * @param {Object} alias - Alias definition
+   * @param {Object} item - Launch item
+   * @returns {boolean} Whether the alias applies
+   */
+  static aliasCovers(alias, item) {
+    if (alias.orgId !== item.org.id) return false;
+    if (!alias.tenantId) return true;
+    return !!item.tenant && item.tenant.id === alias.tenantId;
+  }
+
+  /**
+   * Score a launch item against the query terms.
+   * Every term must match; tenants need a term about the tenant and actions a term
+   * about the action, so "acme" suggests the org rather than all of its tenants.
+   * @param {Object} item - Launch item
+   * @param {Array<string>} terms - Lowercase query terms
+   * @param {Array} aliases - Alias definitions
+   * @returns {number|null} Relevance, or null when the item does not match
+   */
+  static scoreCandidate(item, terms, aliases) {
+    const fields = this.getSearchFields(item);
+    let total = 0;
+    let matchedTenant = false;
+    let matchedAction = false;
+
+    for (const term of terms) {
+      const matchingAliases = aliases.filter(alias => alias.alias === term && this.aliasCovers(alias, item));
+      if (matchingAliases.length > 0) {
+        total += this.ALIAS_SCORE;
+        matchedTenant = matchedTenant || matchingAliases.some(alias => alias.tenantId);
+        continue;
+      }
+
+      const actionScore = DataProcessor.bestFieldScore(fields.action, term);
+      const tenantScore = DataProcessor.bestFieldScore(fields.tenant, term);
+      const orgScore = DataProcessor.bestFieldScore(fields.org, term);
+      const best = Math.max(actionScore || 0, tenantScore || 0, orgScore || 0);
+      if (best === 0) return null;
+
+      total += best;
+      matchedAction = matchedAction || actionScore !== null;
+      matchedTenant = matchedTenant || tenantScore !== null;
+    }
+
+    if (item.type === 'action' && !matchedAction) return null;
+    if (item.type === 'tenant' && !matchedTenant) return null;
+    return total;
+  }
+
+  /**
+   * Rank launch items for the text typed after the keyword
+   * @param {Array} organizations - Stored organizations
+   * @param {string} text - Typed text
+   * @param {Object} options - Search options
+   * @param {Array} options.aliases - Alias definitions
+   * @param {Array} options.history - Usage history entries
+   * @param {number} options.limit - Most items returned (defaults to the omnibox limit)
+   * @param {Function} options.boost - Extra score for an item, e.g. for the current page's organization
+   * @returns {Array} Ranked launch items
+   */
+  search(organizations, text, { aliases = [], history = [], limit = null, boost = null } = {}) {
+    const terms = (text || '').toLowerCase().split(/\s+/).filter(Boolean);
+    const now = Date.now();
+
+    const usage = {};
+    history.forEach(entry => {
+      usage[UsageManager.getEntryKey(entry)] = UsageManager.calculateFrecency(entry, now);
+    });
+
+    const ranked = [];
+    OmniboxManager.buildCandidates(organizations).forEach(item => {
+      const frecency = usage[UsageManager.getEntryKey(OmniboxManager.getTarget(item))] || 0;
+      const extra = boost ? boost(item) : 0;
+
+      // With nothing typed, offer the most used items
+      if (terms.length === 0) {
+        if (frecency > 0) {
+          ranked.push({ item, score: frecency + extra });
+        }
+        return;
+      }
+
+      const relevance = OmniboxManager.scoreCandidate(item, terms, aliases);
+      if (relevance !== null) {
+        ranked.push({ item, score: relevance + Math.log1p(frecency) * 10 + extra });
+      }
+    });
+
+    return ranked
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit || this.config.get('UI.MAX_OMNIBOX_SUGGESTIONS', 8))
+      .map(({ item }) => item);
+  }
+
+  /**
+   * Escape text for omnibox suggestion descriptions (which are XML)
+   * @param {string} text - Plain text
+   * @returns {string} Escaped text
+   */
+  static escapeXml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&apos;');
+  }
+
+  /**
+   * Describe a launch item for a result list
+   * @param {Object} item - Launch item
+   * @returns {Object} { name, context, environment } with decoded text; environment may be null
+   */
+  static describe(item) {
+    const decode = value => SecurityUtils.decodeHtmlEntities(String(value || ''));
+    const orgName = decode(item.org.customName || item.org.name);
+    const tenantName = item.tenant ? decode(item.tenant.customName || item.tenant.displayName || item.tenant.name) : '';
+    const environment = item.tenant ? EnvironmentClassifier.getEnvironment(item.tenant) : null;
+
+    if (item.type === 'org') {
+      return { name: orgName, context: 'Organization', environment: null };
+    }
+    if (item.type === 'tenant') {
+      return { name: tenantName, context: `${decode(item.group.productName)} · ${orgName}`, environment };
+    }
+    return { name: decode(item.action.name), context: `${tenantName} · ${orgName}`, environment };
+  }
+
+  /**
+   * Build the omnibox suggestion for a launch item
+   * @param {Object} item - Launch item
+   * @returns {Object} chrome.omnibox.SuggestResult
+   */
+  static toSuggestion(item) {
+    const { name, context, environment } = this.describe(item);
+    const environmentLabel = environment ? `[${EnvironmentClassifier.getLabel(environment, true)}] ` : '';
+
+    // Tenants carry the tag on their name, actions on the tenant they belong to
+    const description = item.type === 'action'
+      ? `${this.escapeXml(name)} <dim>${this.escapeXml(environmentLabel + context)}</dim>`
+      : `${this.escapeXml(environmentLabel + name)} <dim>${this.escapeXml(context)}</dim>`;
+
+    return { content: item.url, description };
+  }
+
+  /**
+   * Work out what Enter should open: a suggestion (its URL) or the best match for the typed text
+   * @param {Array} organizations - Stored organizations
+   * @param {string} text - Text or suggestion content entered
+   * @param {Object} options - { aliases, history }
+   * @returns {Object|null} Launch item
+   */
+  resolveEntry(organizations, text, options = {}) {
+    const exact = OmniboxManager.buildCandidates(organizations).find(item => item.url === text);
+    return exact || this.search(organizations, text, options)[0] || null;
+  }
+}
+
+// Create global instance
+const omniboxManager = new OmniboxManager();
+
+// Export for module use
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { OmniboxManager, omniboxManager };
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+  window.OmniboxManager = OmniboxManager;
+  window.omniboxManager = omniboxManager;
+}
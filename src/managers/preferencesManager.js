@@ -0,0 +1,254 @@
+/**
+ * Preferences Manager
+ * Stores user preferences (sorting, display options) with defaults and validation
+ */
+
+class PreferencesManager {
+  /**
+   * Known preferences with their default values and accepted values
+   * Unknown keys are ignored so stale or tampered values never reach the UI
+   */
+  static SCHEMA = {
+    sortBy: { default: 'name', values: ['name', 'frecency', 'tenantCount', 'lastCaptured'] },
+    groupBy: { default: 'organization', values: ['organization', 'product', 'environment', 'region', 'orgType'] },
+    environmentRules: {
+      default: [],
+      validate: rules => typeof EnvironmentClassifier !== 'undefined'
+        ? EnvironmentClassifier.isValidRuleList(rules)
+        : Array.isArray(rules)
+    },
+    bannerEnvironments: {
+      default: ['prod'],
+      validate: environments => PreferencesManager.isEnvironmentList(environments)
+    },
+    titleTagEnvironments: {
+      default: ['prod', 'uat', 'qa', 'dev', 'nonprod'],
+      validate: environments => PreferencesManager.isEnvironmentList(environments)
+    },
+    faviconEnvironments: {
+      default: ['prod', 'uat', 'qa', 'dev', 'nonprod'],
+      validate: environments => PreferencesManager.isEnvironmentList(environments)
+    },
+    openMode: { default: 'foreground', values: ['foreground', 'background', 'newWindow', 'currentTab'] },
+    tabReuse: { default: 'new', values: ['new', 'reuse', 'reuseIdle'] },
+    groupTabsByOrganization: { default: false, validate: value => typeof value === 'boolean' },
+    hideInactiveTenants: { default: false, validate: value => typeof value === 'boolean' },
+    bulkOpenWarningThreshold: { default: 10, validate: value => Number.isInteger(value) && value >= 1 && value <= 100 },
+    omniboxAliases: {
+      default: [],
+      validate: aliases => typeof OmniboxManager !== 'undefined'
+        ? OmniboxManager.isValidAliasList(aliases)
+        : Array.isArray(aliases)
+    },
+    dashboardColumns: {
+      default: DataProcessor.DASHBOARD_COLUMNS.filter(column => column.shownByDefault).map(column => column.key),
+      validate: columns => PreferencesManager.isDashboardColumnList(columns)
+    },
+    tenantDetailFields: {
+      // Every field of the details drawer (sharedUtils.js loads before this file everywhere)
+      default: DataProcessor.TENANT_DETAIL_FIELDS.map(field => field.key),
+      validate: fields => PreferencesManager.isTenantDetailFieldList(fields)
+    }
+  };
+
+  constructor() {
+    // Check if Logger is available (not loaded in every context)
+    if (typeof Logger !== 'undefined') {
+      this.logger = Logger.createContextLogger('PreferencesManager');
+    } else {
+      // Fallback logger
+      this.logger = {
+        debug: (...args) => console.log('[PreferencesManager]', ...args),
+        info: (...args) => console.log('[PreferencesManager]', ...args),
+        warn: (...args) => console.warn('[PreferencesManager]', ...args),
+        error: (...args) => console.error('[PreferencesManager]', ...args)
+      };
+    }
+
+    this.storageKey = typeof CONFIG !== 'undefined'
+      ? CONFIG.get('STORAGE.USER_PREFERENCES_KEY', 'user_preferences')
+      : 'user_preferences';
+  }
+
+  /**
+   * Check a list of normalized environment names (see EnvironmentClassifier)
+   * @param {Array} environments - Candidate list
+   * @returns {boolean} Whether every entry is a known environment
+   */
+  static isEnvironmentList(environments) {
+    const known = typeof EnvironmentClassifier !== 'undefined'
+      ? Object.keys(EnvironmentClassifier.ENVIRONMENTS)
+      : ['prod', 'uat', 'qa', 'dev', 'nonprod'];
+    return Array.isArray(environments) && environments.every(environment => known.includes(environment));
+  }
+
+  /**
+   * Check a dashboard column selection
+   * @param {Array} columns - Candidate list of column keys
+   * @returns {boolean} Whether every entry is a column of DataProcessor.DASHBOARD_COLUMNS, without repeats
+   */
+  static isDashboardColumnList(columns) {
+    return Array.isArray(columns)
+      && columns.every(column => DataProcessor.DASHBOARD_COLUMNS.some(definition => definition.key === column))
+      && new Set(columns).size === columns.length;
+  }
+
+  /**
+   * Check a tenant details field selection
+   * @param {Array} fields - Candidate list of field keys
+   * @returns {boolean} Whether every entry is a field of DataProcessor.TENANT_DETAIL_FIELDS, without repeats
+   */
+  static isTenantDetailFieldList(fields) {
+    return Array.isArray(fields)
+      && fields.every(field => DataProcessor.TENANT_DETAIL_FIELDS.some(definition => definition.key === field))
+      && new Set(fields).size === fields.length;
+  }
+
+  /**
+   * Get the default value for every known preference
+   * @returns {Object} Default preferences
+   */
+  static getDefaults() {
+    const defaults = {};
+    for (const [key, definition] of Object.entries(PreferencesManager.SCHEMA)) {
+      // Copy object defaults so callers can't mutate the schema
+      defaults[key] = typeof definition.default === 'object'
+        ? JSON.parse(JSON.stringify(definition.default))
+        : definition.default;
+    }
+    return defaults;
+  }
+
+  /**
+   * Check a value against a preference definition
+   * @param {string} key - Preference key
+   * @param {*} value - Candidate value
+   * @returns {boolean} Whether the value is acceptable
+   */
+  static isValid(key, value) {
+    const definition = PreferencesManager.SCHEMA[key];
+    if (!definition) return false;
+
+    if (definition.values) {
+      return definition.values.includes(value);
+    }
+    if (definition.validate) {
+      return definition.validate(value);
+    }
+    return typeof value === typeof definition.default;
+  }
+
+  /**
+   * Merge stored values over the defaults, dropping anything invalid
+   * @param {Object} stored - Raw stored preferences
+   * @returns {Object} Complete, validated preferences
+   */
+  static normalize(stored) {
+    const preferences = PreferencesManager.getDefaults();
+    if (!stored || typeof stored !== 'object') return preferences;
+
+    for (const [key, value] of Object.entries(stored)) {
+      if (PreferencesManager.isValid(key, value)) {
+        preferences[key] = value;
+      }
+    }
+    return preferences;
+  }
+
+  /**
+   * Get all preferences
+   * @returns {Promise<Object>} Preferences with defaults applied
+   */
+  async getAll() {
+    try {
+      const result = await chrome.storage.local.get([this.storageKey]);
+      return PreferencesManager.normalize(result[this.storageKey]);
+    } catch (error) {
+      this.logger.error('Failed to read preferences', error);
+      return PreferencesManager.getDefaults();
+    }
+  }
+
+  /**
+   * Get a single preference
+   * @param {string} key - Preference key
+   * @returns {Promise<*>} Preference value
+   */
+  async get(key) {
+    const preferences = await this.getAll();
+    return preferences[key];
+  }
+
+  /**
+   * Update one or more preferences
+   * @param {Object} changes - Preference values to set
+   * @returns {Promise<boolean>} Success status
+   */
+  async update(changes) {
+    const invalidKeys = Object.keys(changes).filter(key => !PreferencesManager.isValid(key, changes[key]));
+    if (invalidKeys.length > 0) {
+      this.logger.warn('Ignoring invalid preference values', { keys: invalidKeys });
+    }
+
+    try {
+      const preferences = await this.getAll();
+      for (const [key, value] of Object.entries(changes)) {
+        if (!invalidKeys.includes(key)) {
+          preferences[key] = value;
+        }
+      }
+
+      await chrome.storage.local.set({ [this.storageKey]: preferences });
+      return invalidKeys.length === 0;
+    } catch (error) {
+      this.logger.error('Failed to save preferences', error);
+      return false;
+    }
+  }
+
+  /**
+   * Set a single preference
+   * @param {string} key - Preference key
+   * @param {*} value - Preference value
+   * @returns {Promise<boolean>} Success status
+   */
+  async set(key, value) {
+    return await this.update({ [key]: value });
+  }
+
+  /**
+   * Listen for preference changes made in any extension context
+   * @param {Function} callback - Called with (preferences, changedKeys)
+   * @returns {Function} Function that removes the listener
+   */
+  onChanged(callback) {
+    const listener = (changes, areaName) => {
+      if (areaName !== 'local' || !changes[this.storageKey]) return;
+
+      const oldValue = PreferencesManager.normalize(changes[this.storageKey].oldValue);
+      const newValue = PreferencesManager.normalize(changes[this.storageKey].newValue);
+      const changedKeys = Object.keys(newValue).filter(key => JSON.stringify(oldValue[key]) !== JSON.stringify(newValue[key]));
+
+      if (changedKeys.length > 0) {
+        callback(newValue, changedKeys);
+      }
+    };
+
+    chrome.storage.onChanged.addListener(listener);
+    return () => chrome.storage.onChanged.removeListener(listener);
+  }
+}
+
+// Create global instance
+const preferencesManager = new PreferencesManager();
+
+// Export for module use
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { PreferencesManager, preferencesManager };
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+  window.PreferencesManager = PreferencesManager;
+  window.preferencesManager = preferencesManager;
+}
@@ -0,0 +1,319 @@
+/**
+ * Tab Manager
+ * Opens portal and tenant URLs, reusing a tab that already shows the same
+ * organization or tenant instead of opening a duplicate
+ */
+
+class TabManager {
+  /**
+   * Tabs the extension can read the URL of (portal and product hosts)
+   */
+  static SITECORE_TAB_PATTERNS = ['https://*.sitecorecloud.io/*'];
+
+  constructor() {
+    // Check if Logger is available (not loaded in every context)
+    if (typeof Logger !== 'undefined') {
+      this.logger = Logger.createContextLogger('TabManager');
+    } else {
+      // Fallback logger
+      this.logger = {
+        debug: (...args) => console.log('[TabManager]', ...args),
+        info: (...args) => console.log('[TabManager]', ...args),
+        warn: (...args) => console.warn('[TabManager]', ...args),
+        error: (...args) => console.error('[TabManager]', ...args)
+      };
+    }
+
+    // Check if CONFIG is available, otherwise use defaults
+    this.config = typeof CONFIG !== 'undefined' ? CONFIG : {
+      get: (path, defaultValue) => {
+        const defaults = {
+          'TIMEOUTS.TAB_IDLE': 600000,
+          'STORAGE.TAB_GROUPS_KEY': 'organization_tab_groups'
+        };
+        return defaults[path] || defaultValue;
+      }
+    };
+  }
+
+  /**
+   * Parse a URL, ignoring anything that is not a valid absolute URL
+   * @param {string} url - URL to parse
+   * @returns {URL|null} Parsed URL
+   */
+  static parse(url) {
+    try {
+      return new URL(url);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Check whether an open tab already shows what a URL would open.
+   * Tenants match on the tenantId (or tenantName) query parameter, quick actions
+   * additionally on the path, and organizations on the organization parameter.
+   * @param {string} tabUrl - URL of the open tab
+   * @param {string} url - URL about to be opened
+   * @param {Object} target - Navigation target { orgId, tenantId, actionName } (optional)
+   * @returns {boolean} Whether the tab can be reused
+   */
+  static matchesUrl(tabUrl, url, target = null) {
+    const tab = this.parse(tabUrl);
+    const wanted = this.parse(url);
+    if (!tab || !wanted) return false;
+
+    const tabContext = TenantLookup.parseUrl(tabUrl);
+    const wantedContext = TenantLookup.parseUrl(url);
+
+    if (wantedContext) {
+      if (!tabContext) return false;
+
+      const sameTenant = wantedContext.tenantId
+        ? tabContext.tenantId === wantedContext.tenantId
+        : !!tabContext.tenantName && tabContext.tenantName.toLowerCase() === wantedContext.tenantName.toLowerCase();
+      if (!sameTenant) return false;
+
+      return target && target.actionName
+        ? tab.host === wanted.host && tab.pathname === wanted.pathname
+        : true;
+    }
+
+    const organizationId = wanted.searchParams.get('organization');
+    if (organizationId) {
+      return tab.host === wanted.host
+        && tab.searchParams.get('organization') === organizationId
+        && !tabContext;
+    }
+
+    // Anything else (e.g. legacy subsites) only matches the exact page
+    return tab.origin + tab.pathname + tab.search === wanted.origin + wanted.pathname + wanted.search;
+  }
+
+  /**
+   * Point a portal URL at another organization, keeping the page the user is on
+   * @param {string} currentUrl - URL of the current tab
+   * @param {string} organizationUrl - Stored organization URL
+   * @returns {string} URL to load in the current tab
+   */
+  static replaceOrganization(currentUrl, organizationUrl) {
+    const current = this.parse(currentUrl);
+    const target = this.parse(organizationUrl);
+    const organizationId = target ? target.searchParams.get('organization') : null;
+
+    // Tenant pages belong to one organization, so only portal pages can switch in place
+    if (!current || !organizationId || current.host !== target.host || TenantLookup.parseUrl(currentUrl)) {
+      return organizationUrl;
+    }
+
+    current.searchParams.set('organization', organizationId);
+    return current.toString();
+  }
+
+  /**
+   * Work out the tab group for an organization: named after the org and coloured
+   * with the org's chosen colour, or by the environment of the tenant being opened
+   * @param {Object} org - Stored organization
+   * @param {Object} tenant - Tenant being opened (optional)
+   * @returns {Object} { orgId, title, color } where color may be null (keep the current colour)
+   */
+  static getGroupOptions(org, tenant = null) {
+    const environment = tenant ? EnvironmentClassifier.getEnvironment(tenant) : null;
+    const environmentColor = environment ? EnvironmentClassifier.ENVIRONMENTS[environment].groupColor : null;
+
+    return {
+      orgId: org.id,
+      title: TenantLookup.decode(org.customName || org.name),
+      color: org.tabGroupColor || environmentColor
+    };
+  }
+
+  /**
+   * Check whether a tab has not been used recently
+   * @param {Object} tab - chrome.tabs.Tab
+   * @param {number} now - Reference timestamp (ms)
+   * @returns {boolean} Whether the tab is idle
+   */
+  isIdle(tab, now = Date.now()) {
+    if (tab.status === 'loading' || tab.audible) return false;
+    if (!tab.lastAccessed) return true;
+    return now - tab.lastAccessed >= this.config.get('TIMEOUTS.TAB_IDLE', 600000);
+  }
+
+  /**
+   * Get the open Sitecore tabs across all windows
+   * @returns {Promise<Array>} Tabs
+   */
+  async getSitecoreTabs() {
+    try {
+      return await chrome.tabs.query({ url: TabManager.SITECORE_TAB_PATTERNS });
+    } catch (error) {
+      this.logger.warn('Failed to query open tabs', error);
+      return [];
+    }
+  }
+
+  /**
+   * Find an open tab that can be reused for a URL
+   * @param {string} url - URL about to be opened
+   * @param {Object} options - { target, mode }
+   * @returns {Promise<Object|null>} Reusable tab
+   */
+  async findReusableTab(url, { target = null, mode = 'reuse' } = {}) {
+    if (mode === 'new') return null;
+
+    const now = Date.now();
+    const candidates = (await this.getSitecoreTabs())
+      .filter(tab => tab.url && TabManager.matchesUrl(tab.url, url, target))
+      .filter(tab => mode !== 'reuseIdle' || this.isIdle(tab, now));
+
+    // Prefer the most recently used match
+    candidates.sort((a, b) => (b.lastAccessed || 0) - (a.lastAccessed || 0));
+    return candidates[0] || null;
+  }
+
+  /**
+   * Open a URL, switching to an existing tab when the reuse mode allows it
+   * @param {string} url - Already validated URL
+   * @param {Object} options - Open options
+   * @param {Object} options.target - Navigation target { orgId, tenantId, actionName }
+   * @param {string} options.mode - 'new', 'reuse' or 'reuseIdle'
+   * @param {string} options.disposition - 'foreground', 'background' or 'newWindow'
+   * @param {Object} options.group - Organization tab group (see getGroupOptions), if grouping is on
+   * @returns {Promise<Object>} { tab, reused }
+   */
+  async open(url, { target = null, mode = 'new', disposition = 'foreground', group = null } = {}) {
+    const background = disposition === 'background';
+
+    if (disposition === 'newWindow') {
+      const createdWindow = await chrome.windows.create({ url, focused: true });
+      return { tab: createdWindow.tabs[0], reused: false };
+    }
+
+    const existing = await this.findReusableTab(url, { target, mode });
+
+    if (existing) {
+      if (!background) {
+        await chrome.tabs.update(existing.id, { active: true });
+        await chrome.windows.update(existing.windowId, { focused: true });
+      }
+      this.logger.debug('Reusing open tab', { tabId: existing.id });
+      return { tab: existing, reused: true };
+    }
+
+    const tab = await chrome.tabs.create({ url, active: !background });
+    if (group) {
+      await this.addToOrganizationGroup(tab.id, group);
+    }
+    return { tab, reused: false };
+  }
+
+  /**
+   * Open several URLs in background tabs, group them and focus the first
+   * @param {Array<string>} urls - Already validated URLs
+   * @param {Object} options - { group } organization tab group (see getGroupOptions)
+   * @returns {Promise<Array>} Created tabs
+   */
+  async openAll(urls, { group = null } = {}) {
+    const tabs = [];
+    for (const url of urls) {
+      tabs.push(await chrome.tabs.create({ url, active: false }));
+    }
+
+    if (group && tabs.length > 0) {
+      await this.addToOrganizationGroup(tabs.map(tab => tab.id), group);
+    }
+    if (tabs.length > 0) {
+      await chrome.tabs.update(tabs[0].id, { active: true });
+    }
+
+    this.logger.debug('Opened tabs in bulk', { count: tabs.length });
+    return tabs;
+  }
+
+  /**
+   * Put tabs into their organization's tab group, creating the group on first use
+   * @param {number|Array<number>} tabIds - Tab or tabs to group
+   * @param {Object} group - Result of getGroupOptions
+   * @returns {Promise<number|null>} Tab group ID
+   */
+  async addToOrganizationGroup(tabIds, { orgId, title, color }) {
+    const storageKey = this.config.get('STORAGE.TAB_GROUPS_KEY', 'organization_tab_groups');
+
+    try {
+      const groups = (await chrome.storage.session.get(storageKey))[storageKey] || {};
+
+      // Group IDs go stale when the user closes or ungroups the group
+      let groupId = groups[orgId];
+      if (groupId !== undefined) {
+        groupId = await chrome.tabGroups.get(groupId).then(existing => existing.id, () => undefined);
+      }
+
+      const ids = [].concat(tabIds);
+      groupId = await chrome.tabs.group(groupId !== undefined ? { groupId, tabIds: ids } : { tabIds: ids });
+      await chrome.tabGroups.update(groupId, color ? { title, color } : { title });
+
+      groups[orgId] = groupId;
+      await chrome.storage.session.set({ [storageKey]: groups });
+      return groupId;
+    } catch (error) {
+      this.logger.warn('Failed to add tab to organization group', error);
+      return null;
+    }
+  }
+
+  /**
+   * Count the open tabs belonging to each stored organization
+   * @param {Array} tabs - Open tabs
+   * @param {Array} organizations - Stored organizations
+   * @returns {Object} Map of organization ID → open tab count
+   */
+  countTabsByOrganization(tabs, organizations) {
+    const counts = {};
+    const knownIds = new Set(organizations.map(org => org.id));
+
+    tabs.forEach(tab => {
+      const orgId = TabManager.getOrganizationId(tab.url, organizations, knownIds);
+      if (orgId) {
+        counts[orgId] = (counts[orgId] || 0) + 1;
+      }
+    });
+
+    return counts;
+  }
+
+  /**
+   * Work out which stored organization a page belongs to
+   * @param {string} url - Page URL
+   * @param {Array} organizations - Stored organizations
+   * @param {Set} knownIds - Stored organization IDs, when already collected
+   * @returns {string|null} Organization ID
+   */
+  static getOrganizationId(url, organizations, knownIds = new Set(organizations.map(org => org.id))) {
+    const parsed = TabManager.parse(url);
+    if (!parsed) return null;
+
+    // Tenant pages may omit the organization parameter, so fall back to the stored tenant
+    let orgId = parsed.searchParams.get('organization');
+    if (!orgId || !knownIds.has(orgId)) {
+      const match = TenantLookup.findTenant(organizations, TenantLookup.parseUrl(url));
+      orgId = match ? match.org.id : null;
+    }
+
+    return orgId && knownIds.has(orgId) ? orgId : null;
+  }
+}
+
+// Create global instance
+const tabManager = new TabManager();
+
+// Export for module use
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { TabManager, tabManager };
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+  window.TabManager = TabManager;
+  window.tabManager = tabManager;
+}
@@ -0,0 +1,269 @@
+/**
+ * Usage Manager
+ * Records navigations launched from the extension and ranks them by frecency
+ * (a blend of how often and how recently an item was opened)
+ */
+
+class UsageManager {
+  /**
+   * Recency buckets used when scoring visits (age limit in days → weight)
+   */
+  static RECENCY_WEIGHTS = [
+    { maxAgeDays: 4, weight: 100 },
+    { maxAgeDays: 14, weight: 70 },
+    { maxAgeDays: 31, weight: 50 },
+    { maxAgeDays: 90, weight: 30 },
+    { maxAgeDays: Infinity, weight: 10 }
+  ];
+
+  constructor() {
+    // Check if Logger is available (not loaded in every context)
+    if (typeof Logger !== 'undefined') {
+      this.logger = Logger.createContextLogger('UsageManager');
+    } else {
+      // Fallback logger
+      this.logger = {
+        debug: (...args) => console.log('[UsageManager]', ...args),
+        info: (...args) => console.log('[UsageManager]', ...args),
+        warn: (...args) => console.warn('[UsageManager]', ...args),
+        error: (...args) => console.error('[UsageManager]', ...args)
+      };
+    }
+
+    // Check if CONFIG is available, otherwise use defaults
+    this.config = typeof CONFIG !== 'undefined' ? CONFIG : {
+      get: (path, defaultValue) => {
+        const defaults = {
+          'STORAGE.USAGE_HISTORY_KEY': 'usage_history',
+          'LIMITS.MAX_USAGE_ENTRIES': 200,
+          'LIMITS.MAX_USAGE_VISITS': 10
+        };
+        return defaults[path] || defaultValue;
+      }
+    };
+
+    this.storageKey = this.config.get('STORAGE.USAGE_HISTORY_KEY', 'usage_history');
+  }
+
+  /**
+   * Build the history key identifying an org, tenant or tenant action
+   * @param {Object} target - Navigation target
+   * @returns {string} Entry key
+   */
+  static getEntryKey({ orgId, tenantId = null, actionName = null }) {
+    return [orgId, tenantId || '', actionName || ''].join('|');
+  }
+
+  /**
+   * Calculate the frecency score of a history entry
+   * @param {Object} entry - History entry
+   * @param {number} now - Reference timestamp (ms)
+   * @returns {number} Frecency score
+   */
+  static calculateFrecency(entry, now = Date.now()) {
+    const visits = entry.visits || [];
+    if (!entry.count || visits.length === 0) return 0;
+
+    const dayMs = 86400000;
+    const totalWeight = visits.reduce((sum, visit) => {
+      const ageDays = (now - new Date(visit).getTime()) / dayMs;
+      const bucket = UsageManager.RECENCY_WEIGHTS.find(b => ageDays <= b.maxAgeDays);
+      return sum + bucket.weight;
+    }, 0);
+
+    // Scale the average weight of the sampled visits by the total visit count
+    return Math.round(entry.count * (totalWeight / visits.length));
+  }
+
+  /**
+   * Sum frecency scores per organization and per tenant
+   * @param {Array} history - History entries
+   * @param {number} now - Reference timestamp (ms)
+   * @returns {Object} { organizations: {orgId: score}, tenants: {tenantId: score} }
+   */
+  static aggregateScores(history, now = Date.now()) {
+    const scores = { organizations: {}, tenants: {} };
+
+    for (const entry of history) {
+      const score = UsageManager.calculateFrecency(entry, now);
+      scores.organizations[entry.orgId] = (scores.organizations[entry.orgId] || 0) + score;
+      if (entry.tenantId) {
+        scores.tenants[entry.tenantId] = (scores.tenants[entry.tenantId] || 0) + score;
+      }
+    }
+
+    return scores;
+  }
+
+  /**
+   * Find when each tenant was last opened (directly or through one of its actions)
+   * @param {Array} history - History entries
+   * @returns {Object} Map of 'orgId|tenantId' → ISO timestamp
+   */
+  static getLastUsedByTenant(history) {
+    const lastUsed = {};
+
+    for (const entry of history) {
+      if (!entry.tenantId || !entry.lastUsed) continue;
+
+      const key = `${entry.orgId}|${entry.tenantId}`;
+      if (!lastUsed[key] || new Date(entry.lastUsed) > new Date(lastUsed[key])) {
+        lastUsed[key] = entry.lastUsed;
+      }
+    }
+
+    return lastUsed;
+  }
+
+  /**
+   * Get all recorded history entries
+   * @returns {Promise<Array>} History entries
+   */
+  async getHistory() {
+    try {
+      const result = await chrome.storage.local.get([this.storageKey]);
+      const history = result[this.storageKey];
+      return Array.isArray(history) ? history : [];
+    } catch (error) {
+      this.logger.error('Failed to read usage history', error);
+      return [];
+    }
+  }
+
+  /**
+   * Persist history entries, dropping the least valuable ones over the limit
+   * @param {Array} history - History entries
+   * @returns {Promise<boolean>} Success status
+   */
+  async saveHistory(history) {
+    try {
+      const maxEntries = this.config.get('LIMITS.MAX_USAGE_ENTRIES', 200);
+      let trimmed = history;
+
+      if (history.length > maxEntries) {
+        const now = Date.now();
+        trimmed = [...history]
+          .sort((a, b) => UsageManager.calculateFrecency(b, now) - UsageManager.calculateFrecency(a, now))
+          .slice(0, maxEntries);
+      }
+
+      await chrome.storage.local.set({ [this.storageKey]: trimmed });
+      return true;
+    } catch (error) {
+      this.logger.error('Failed to save usage history', error);
+      return false;
+    }
+  }
+
+  /**
+   * Record a navigation to an org, tenant or tenant action
+   * @param {Object} target - Navigation target
+   * @param {string} target.orgId - Organization ID
+   * @param {string} target.tenantId - Tenant ID (optional)
+   * @param {string} target.actionName - Action name within the tenant (optional)
+   * @returns {Promise<boolean>} Success status
+   */
+  async recordNavigation({ orgId, tenantId = null, actionName = null }) {
+    if (!orgId) return false;
+
+    const history = await this.getHistory();
+    const key = UsageManager.getEntryKey({ orgId, tenantId, actionName });
+    const visitedAt = new Date().toISOString();
+    const maxVisits = this.config.get('LIMITS.MAX_USAGE_VISITS', 10);
+
+    let entry = history.find(e => e.key === key);
+    if (!entry) {
+      entry = {
+        key,
+        type: actionName ? 'action' : tenantId ? 'tenant' : 'org',
+        orgId,
+        tenantId,
+        actionName,
+        count: 0,
+        visits: []
+      };
+      history.push(entry);
+    }
+
+    entry.count += 1;
+    entry.lastUsed = visitedAt;
+    entry.visits = [...entry.visits, visitedAt].slice(-maxVisits);
+
+    this.logger.debug('Recorded navigation', { type: entry.type, count: entry.count });
+    return await this.saveHistory(history);
+  }
+
+  /**
+   * Get the most recently used entries
+   * @param {number} limit - Maximum number of entries
+   * @returns {Promise<Array>} Entries, most recent first
+   */
+  async getRecent(limit = 5) {
+    const history = await this.getHistory();
+    return history
+      .sort((a, b) => new Date(b.lastUsed) - new Date(a.lastUsed))
+      .slice(0, limit);
+  }
+
+  /**
+   * Get entries ranked by frecency
+   * @param {number} limit - Maximum number of entries
+   * @returns {Promise<Array>} Entries with a frecency property, highest first
+   */
+  async getFrecent(limit = Infinity) {
+    const history = await this.getHistory();
+    const now = Date.now();
+    return history
+      .map(entry => ({ ...entry, frecency: UsageManager.calculateFrecency(entry, now) }))
+      .sort((a, b) => b.frecency - a.frecency)
+      .slice(0, limit);
+  }
+
+  /**
+   * Get frecency scores aggregated per organization and tenant
+   * @returns {Promise<Object>} { organizations: {orgId: score}, tenants: {tenantId: score} }
+   */
+  async getScores() {
+    return UsageManager.aggregateScores(await this.getHistory());
+  }
+
+  /**
+   * Remove all history for an organization (e.g. after it is deleted)
+   * @param {string} orgId - Organization ID
+   * @returns {Promise<boolean>} Success status
+   */
+  async removeOrganization(orgId) {
+    const history = await this.getHistory();
+    const remaining = history.filter(entry => entry.orgId !== orgId);
+    if (remaining.length === history.length) return true;
+    return await this.saveHistory(remaining);
+  }
+
+  /**
+   * Clear all usage history
+   * @returns {Promise<boolean>} Success status
+   */
+  async clearHistory() {
+    try {
+      await chrome.storage.local.remove(this.storageKey);
+      return true;
+    } catch (error) {
+      this.logger.error('Failed to clear usage history', error);
+      return false;
+    }
+  }
+}
+
+// Create global instance
+const usageManager = new UsageManager();
+
+// Export for module use
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { UsageManager, usageManager };
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+  window.UsageManager = UsageManager;
+  window.usageManager = usageManager;
+}
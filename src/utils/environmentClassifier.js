@@ -0,0 +1,283 @@
+/**
+ * Environment Classifier
+ * Turns tenant labels, annotations and names into a normalized environment
+ * (prod, uat, qa, dev or nonprod) using built-in and user-defined rules
+ */
+
+class EnvironmentClassifier {
+  /**
+   * Normalized environments with display labels, badge colours and Chrome tab group
+   * colours, from most to least sensitive
+   */
+  static ENVIRONMENTS = {
+    prod: { label: 'Production', shortLabel: 'PROD', color: '#dc3545', groupColor: 'red' },
+    uat: { label: 'UAT', shortLabel: 'UAT', color: '#f59e0b', groupColor: 'yellow' },
+    qa: { label: 'QA', shortLabel: 'QA', color: '#3b82f6', groupColor: 'blue' },
+    dev: { label: 'Development', shortLabel: 'DEV', color: '#28a745', groupColor: 'green' },
+    nonprod: { label: 'Non-production', shortLabel: 'NONPROD', color: '#6c757d', groupColor: 'grey' }
+  };
+
+  /**
+   * Raw label / annotation values mapped to a normalized environment
+   */
+  static VALUE_ALIASES = {
+    prod: 'prod',
+    production: 'prod',
+    prd: 'prod',
+    live: 'prod',
+    uat: 'uat',
+    staging: 'uat',
+    stage: 'uat',
+    stg: 'uat',
+    preprod: 'uat',
+    'pre-prod': 'uat',
+    qa: 'qa',
+    test: 'qa',
+    testing: 'qa',
+    tst: 'qa',
+    dev: 'dev',
+    development: 'dev',
+    sandbox: 'dev',
+    sbx: 'dev',
+    nonprod: 'nonprod',
+    'non-prod': 'nonprod',
+    nonproduction: 'nonprod',
+    'non-production': 'nonprod'
+  };
+
+  /**
+   * Built-in display name patterns, checked in order (nonprod before prod so "Nonprod" never reads as prod)
+   */
+  static NAME_PATTERNS = [
+    { pattern: /\bnon[-\s]?prod(uction)?\b/i, environment: 'nonprod' },
+    { pattern: /\b(uat|staging|stage|stg|pre-?prod)\b/i, environment: 'uat' },
+    { pattern: /\b(qa|test|testing|tst)\b/i, environment: 'qa' },
+    { pattern: /\b(dev|develop|development|sandbox|sbx)\b/i, environment: 'dev' },
+    { pattern: /\b(prod|production|prd|live)\b/i, environment: 'prod' }
+  ];
+
+  /**
+   * Label and annotation keys consulted when neither CustomerEnvironmentType nor the name decide.
+   * These describe the hosting platform more than the customer's environment, so they come last.
+   */
+  static FALLBACK_SOURCES = [
+    { field: 'label', key: 'ai.CustomerEnvironmentType' },
+    { field: 'annotation', key: 'TenantClaims.stage' },
+    { field: 'label', key: 'Environment' }
+  ];
+
+  /**
+   * Tenant fields a user rule can test
+   */
+  static RULE_FIELDS = ['displayName', 'name', 'label', 'annotation'];
+
+  /**
+   * Limits for user-defined rules
+   */
+  static MAX_RULES = 50;
+  static MAX_PATTERN_LENGTH = 200;
+
+  /**
+   * Get the display label for an environment
+   * @param {string} environment - Normalized environment
+   * @param {boolean} short - Return the short (badge) label
+   * @returns {string} Label, or the raw value if unknown
+   */
+  static getLabel(environment, short = false) {
+    const definition = this.ENVIRONMENTS[environment];
+    if (!definition) return environment || '';
+    return short ? definition.shortLabel : definition.label;
+  }
+
+  /**
+   * Map a raw label or annotation value to a normalized environment
+   * @param {string} value - Raw value
+   * @returns {string|null} Normalized environment or null
+   */
+  static normalize(value) {
+    if (value === undefined || value === null) return null;
+    const key = this.decode(value).trim().toLowerCase();
+    return this.VALUE_ALIASES[key] || null;
+  }
+
+  /**
+   * Decode HTML entities added when tenant data was sanitized for storage
+   * @param {*} value - Stored value
+   * @returns {string} Plain text
+   */
+  static decode(value) {
+    const text = String(value);
+    return typeof SecurityUtils !== 'undefined' ? SecurityUtils.decodeHtmlEntities(text) : text;
+  }
+
+  /**
+   * Check that a user rule is well formed and its pattern compiles
+   * @param {Object} rule - { pattern, environment, field, key }
+   * @returns {boolean} Whether the rule is valid
+   */
+  static isValidRule(rule) {
+    if (!rule || typeof rule !== 'object') return false;
+    if (typeof rule.pattern !== 'string' || !rule.pattern || rule.pattern.length > this.MAX_PATTERN_LENGTH) return false;
+    if (!this.ENVIRONMENTS[rule.environment]) return false;
+    if (!this.RULE_FIELDS.includes(rule.field)) return false;
+
+    if ((rule.field === 'label' || rule.field === 'annotation')
+      && (typeof rule.key !== 'string' || !/^[a-zA-Z0-9_.\-]{1,100}$/.test(rule.key))) {
+      return false;
+    }
+
+    try {
+      new RegExp(rule.pattern, 'i');
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Validate a list of user rules (used as the preference validator)
+   * @param {Array} rules - User rules
+   * @returns {boolean} Whether every rule is valid
+   */
+  static isValidRuleList(rules) {
+    return Array.isArray(rules)
+      && rules.length <= this.MAX_RULES
+      && rules.every(rule => this.isValidRule(rule));
+  }
+
+  /**
+   * Compile user rules, dropping any that are invalid
+   * @param {Array} rules - User rules
+   * @returns {Array} Rules with a compiled regex property
+   */
+  static compileRules(rules = []) {
+    return (rules || [])
+      .filter(rule => this.isValidRule(rule))
+      .map(rule => ({ ...rule, regex: new RegExp(rule.pattern, 'i') }));
+  }
+
+  /**
+   * Read the value a rule or fallback source refers to
+   * @param {Object} tenant - Tenant
+   * @param {string} field - displayName, name, label or annotation
+   * @param {string} key - Label or annotation key
+   * @returns {string|null} Decoded value
+   */
+  static getFieldValue(tenant, field, key) {
+    let value;
+    if (field === 'label') {
+      value = tenant.labels ? tenant.labels[key] : undefined;
+    } else if (field === 'annotation') {
+      value = tenant.annotations ? tenant.annotations[key] : undefined;
+    } else {
+      value = tenant[field];
+    }
+    return value === undefined || value === null ? null : this.decode(value);
+  }
+
+  /**
+   * Match a display name against the built-in name patterns
+   * @param {string} name - Display name
+   * @returns {string|null} Environment or null
+   */
+  static classifyName(name) {
+    if (!name) return null;
+    const match = this.NAME_PATTERNS.find(({ pattern }) => pattern.test(name));
+    return match ? match.environment : null;
+  }
+
+  /**
+   * Classify a tenant
+   *
+   * Order: user rules, then the CustomerEnvironmentType label (with the display name refining
+   * "nonprod" into uat / qa / dev), then the display name, then platform labels and annotations.
+   *
+   * @param {Object} tenant - Tenant with labels, annotations, displayName and name
+   * @param {Array} rules - User rules (raw or compiled)
+   * @returns {Object} { environment, source } where source is custom, label, name, annotation or null
+   */
+  static classify(tenant, rules = []) {
+    const compiled = rules.length > 0 && rules[0].regex ? rules : this.compileRules(rules);
+
+    for (const rule of compiled) {
+      const value = this.getFieldValue(tenant, rule.field, rule.key);
+      if (value !== null && rule.regex.test(value)) {
+        return { environment: rule.environment, source: 'custom' };
+      }
+    }
+
+    const labelEnvironment = this.normalize(tenant.labels && tenant.labels.CustomerEnvironmentType);
+    const nameEnvironment = this.classifyName(this.getFieldValue(tenant, 'displayName'));
+
+    if (labelEnvironment === 'nonprod' && nameEnvironment && nameEnvironment !== 'prod') {
+      return { environment: nameEnvironment, source: 'name' };
+    }
+    if (labelEnvironment) {
+      return { environment: labelEnvironment, source: 'label' };
+    }
+    if (nameEnvironment) {
+      return { environment: nameEnvironment, source: 'name' };
+    }
+
+    for (const { field, key } of this.FALLBACK_SOURCES) {
+      const environment = this.normalize(this.getFieldValue(tenant, field, key));
+      if (environment) {
+        return { environment, source: field };
+      }
+    }
+
+    return { environment: null, source: null };
+  }
+
+  /**
+   * Get a tenant's stored environment, classifying with the built-in rules if it has none
+   * @param {Object} tenant - Tenant
+   * @returns {string|null} Normalized environment
+   */
+  static getEnvironment(tenant) {
+    return tenant.environment || this.classify(tenant).environment;
+  }
+
+  /**
+   * Re-run classification for every stored tenant (e.g. after the user edits their rules)
+   * @param {Array} organizations - Organizations, updated in place
+   * @param {Array} rules - User rules
+   * @param {Function} classify - Classifier taking (tenant, compiledRules), e.g. a product adapter's
+   * @returns {number} Number of tenants whose environment changed
+   */
+  static applyToOrganizations(organizations, rules = [], classify = (tenant, compiled) => this.classify(tenant, compiled)) {
+    const compiled = this.compileRules(rules);
+    let changed = 0;
+
+    for (const org of organizations) {
+      for (const group of org.productGroups || []) {
+        for (const tenant of group.tenants || []) {
+          const { environment, source } = classify(tenant, compiled);
+          if (tenant.environment !== environment) {
+            changed++;
+          }
+
+          if (environment) {
+            tenant.environment = environment;
+            tenant.environmentSource = source;
+          } else {
+            delete tenant.environment;
+            delete tenant.environmentSource;
+          }
+        }
+      }
+    }
+
+    return changed;
+  }
+}
+
+// Export for module use
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = EnvironmentClassifier;
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+  window.EnvironmentClassifier = EnvironmentClassifier;
+}
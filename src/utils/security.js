@@ -59,6 +59,31 @@ class SecurityUtils {
     ACTION_NAME: 100
   };
 
+  /**
+   * Tenant label and annotation keys that are stored: the ones search, the details drawer and
+   * the environment classifier read. Everything else GetTenants returns (client keys and other
+   * claims) is dropped at validation.
+   */
+  static TENANT_METADATA_KEYS = {
+    labels: ['ProductCode', 'RegionCode', 'SubscriptionID', 'CustomerEnvironmentType', 'ai.CustomerEnvironmentType', 'Environment'],
+    annotations: ['TenantClaims.region', 'TenantClaims.stage', 'TenantClaims.domainId']
+  };
+
+  /**
+   * XM Cloud project metadata, kept under any prefix (see XmCloudAdapter.getMetadata)
+   */
+  static TENANT_PROJECT_METADATA_KEY = /(^|\.)(projectid|projectname|environmentname)$/i;
+
+  /**
+   * Most keys kept per tenant label or annotation map
+   */
+  static MAX_METADATA_KEYS = 20;
+
+  /**
+   * Most pinned actions kept per tenant
+   */
+  static MAX_PINNED_ACTIONS = 50;
+
   /**
    * Regex patterns for validation
    */
@@ -69,6 +94,11 @@ class SecurityUtils {
     SAFE_NAME: /^[a-zA-Z0-9\s\-_.,()&'/]+$/
   };
 
+  /**
+   * Colours Chrome accepts for tab groups (chrome.tabGroups.Color)
+   */
+  static TAB_GROUP_COLORS = ['grey', 'blue', 'red', 'yellow', 'green', 'pink', 'purple', 'cyan', 'orange'];
+
   /**
    * HTML entities for escaping
    */
@@ -126,7 +156,7 @@ class SecurityUtils {
     }
 
     // Validate and sanitize other string fields
-    ['originalName', 'type', 'region', 'accountId'].forEach(field => {
+    ['originalName', 'type', 'region', 'accountId', 'createdBy'].forEach(field => {
       if (org[field] !== undefined) {
         sanitized[field] = this.sanitizeString(org[field]);
       }
@@ -138,6 +168,15 @@ class SecurityUtils {
         sanitized[field] = org[field];
       }
     });
+    if (this.isValidTimestamp(org.pinnedAt)) {
+      sanitized.pinnedAt = org.pinnedAt;
+    }
+    if (typeof org.confirmProduction === 'boolean') {
+      sanitized.confirmProduction = org.confirmProduction;
+    }
+    if (this.TAB_GROUP_COLORS.includes(org.tabGroupColor)) {
+      sanitized.tabGroupColor = org.tabGroupColor;
+    }
 
     // Recursively validate product groups
     if (org.productGroups && Array.isArray(org.productGroups)) {
@@ -178,6 +217,76 @@ class SecurityUtils {
       );
     }
 
+    // Copy project custom names and pins (keyed by XM Cloud project key)
+    if (group.projectSettings && typeof group.projectSettings === 'object') {
+      sanitized.projectSettings = this.validateProjectSettings(group.projectSettings);
+    }
+
+    return sanitized;
+  }
+
+  /**
+   * Validates and sanitizes the user's project settings of a product group
+   * @param {Object} settings - Map of project key to { customName, pinnedAt }
+   * @returns {Object} Sanitized map; invalid and empty entries are dropped
+   */
+  static validateProjectSettings(settings) {
+    const sanitized = {};
+    for (const [key, value] of Object.entries(settings)) {
+      if (!/^(id|name):[a-zA-Z0-9_.\-]{1,100}$/.test(key) || !value || typeof value !== 'object') {
+        continue;
+      }
+
+      const entry = {};
+      if (value.customName) {
+        entry.customName = this.validateAndSanitizeName(value.customName, 'Project custom name');
+      }
+      if (this.isValidTimestamp(value.pinnedAt)) {
+        entry.pinnedAt = value.pinnedAt;
+      }
+      if (Object.keys(entry).length > 0) {
+        sanitized[key] = entry;
+      }
+    }
+    return sanitized;
+  }
+
+  /**
+   * Whether a value is an ISO date string as written by Date#toISOString (pin timestamps)
+   * @param {*} value - Value to check
+   * @returns {boolean} Whether the value is a valid ISO timestamp
+   */
+  static isValidTimestamp(value) {
+    return typeof value === 'string'
+      && /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d{1,3})?Z$/.test(value)
+      && !isNaN(Date.parse(value));
+  }
+
+  /**
+   * Validates a tenant's pinned actions (pin timestamps keyed by action name)
+   * @param {Object} pinnedActions - Map of action name to ISO date string
+   * @returns {Object} Sanitized map; invalid entries are dropped, and at most MAX_PINNED_ACTIONS are kept
+   */
+  static validatePinnedActions(pinnedActions) {
+    const sanitized = {};
+    if (!pinnedActions || typeof pinnedActions !== 'object' || Array.isArray(pinnedActions)) {
+      return sanitized;
+    }
+
+    for (const [name, pinnedAt] of Object.entries(pinnedActions)) {
+      if (Object.keys(sanitized).length >= this.MAX_PINNED_ACTIONS) {
+        break;
+      }
+
+      // Names are stored escaped, as the action names they refer to
+      const decoded = this.decodeHtmlEntities(name);
+      if (decoded.length > this.MAX_LENGTHS.ACTION_NAME || !this.PATTERNS.SAFE_NAME.test(decoded)) {
+        continue;
+      }
+      if (this.isValidTimestamp(pinnedAt)) {
+        sanitized[name] = pinnedAt;
+      }
+    }
     return sanitized;
   }
 
@@ -233,10 +342,87 @@ class SecurityUtils {
     }
     sanitized.organizationId = tenant.organizationId;
 
-    // Validate actions
+    // Copy pin state (timestamps keyed by tenant and action name)
+    if (this.isValidTimestamp(tenant.pinnedAt)) {
+      sanitized.pinnedAt = tenant.pinnedAt;
+    }
+    if (tenant.pinnedActions) {
+      sanitized.pinnedActions = this.validatePinnedActions(tenant.pinnedActions);
+    }
+
+    if (tenant.productCode) {
+      sanitized.productCode = this.sanitizeString(tenant.productCode).substring(0, this.MAX_LENGTHS.ID);
+    }
+
+    // Copy the portal's lifecycle state and system ID (shown in the details drawer)
+    ['state', 'systemId'].forEach(field => {
+      if (typeof tenant[field] === 'string' && tenant[field]) {
+        sanitized[field] = this.sanitizeString(tenant[field]).substring(0, this.MAX_LENGTHS.ID);
+      }
+    });
+
+    // Validate key/value metadata from the GetTenants response
+    if (tenant.labels) {
+      sanitized.labels = this.validateKeyValueMap(tenant.labels, 'labels');
+    }
+    if (tenant.annotations) {
+      sanitized.annotations = this.validateKeyValueMap(tenant.annotations, 'annotations');
+    }
+
+    // Copy the classified environment (normalized lowercase identifiers only)
+    ['environment', 'environmentSource'].forEach(field => {
+      if (typeof tenant[field] === 'string' && /^[a-z]{1,20}$/.test(tenant[field])) {
+        sanitized[field] = tenant[field];
+      }
+    });
+
+    // Validate actions and the user's bookmarks (same shape)
     if (tenant.actions && Array.isArray(tenant.actions)) {
       sanitized.actions = tenant.actions.map(action => this.validateActionData(action));
     }
+    if (Array.isArray(tenant.bookmarks)) {
+      sanitized.bookmarks = tenant.bookmarks
+        .map(bookmark => this.validateActionData(bookmark))
+        .filter(bookmark => bookmark.url);
+    }
+
+    return sanitized;
+  }
+
+  /**
+   * Whether a tenant label or annotation key is one the extension stores
+   * @param {string} kind - 'labels' or 'annotations'
+   * @param {string} key - Metadata key
+   * @returns {boolean} Whether the key is kept
+   */
+  static isKeptTenantMetadataKey(kind, key) {
+    return (this.TENANT_METADATA_KEYS[kind] || []).includes(key) || this.TENANT_PROJECT_METADATA_KEY.test(key);
+  }
+
+  /**
+   * Validates and sanitizes a tenant's label or annotation map
+   * @param {Object} map - Map of string keys to string values
+   * @param {string} kind - 'labels' or 'annotations' (see TENANT_METADATA_KEYS)
+   * @returns {Object} Sanitized map; invalid or unlisted entries are dropped, and at most MAX_METADATA_KEYS are kept
+   */
+  static validateKeyValueMap(map, kind) {
+    if (!map || typeof map !== 'object' || Array.isArray(map)) {
+      return {};
+    }
+
+    const sanitized = {};
+    for (const [key, value] of Object.entries(map)) {
+      if (Object.keys(sanitized).length >= this.MAX_METADATA_KEYS) {
+        break;
+      }
+      if (!/^[a-zA-Z0-9_.\-]{1,100}$/.test(key) || !this.isKeptTenantMetadataKey(kind, key)) {
+        continue;
+      }
+      if (typeof value !== 'string' && typeof value !== 'number' && typeof value !== 'boolean') {
+        continue;
+      }
+      sanitized[key] = this.sanitizeString(String(value)).substring(0, this.MAX_LENGTHS.DISPLAY_NAME);
+    }
 
     return sanitized;
   }
@@ -89,9 +89,11 @@ class StorageManager {
 
   /**
    * Get organizations with standardized error handling and decryption
+   * @param {Object} options - Decryption options
+   * @param {Array<string>} options.deferredFields - Sensitive fields to leave encrypted (see StorageSecurityManager.ON_DEMAND_FIELDS)
    * @returns {Promise<Array>} Array of organizations
    */
-  async getOrganizations() {
+  async getOrganizations(options = {}) {
     const result = await this.get([CONFIG.get('STORAGE.ORGANIZATIONS_KEY')], {
       context: 'get_organizations',
       fallback: { [CONFIG.get('STORAGE.ORGANIZATIONS_KEY')]: [] }
@@ -102,7 +104,7 @@ class StorageManager {
     // Decrypt organizations if StorageSecurityManager is available
     if (typeof storageSecurityManager !== 'undefined' && storageSecurityManager) {
       try {
-        return await storageSecurityManager.decryptOrganizations(encryptedOrgs);
+        return await storageSecurityManager.decryptOrganizations(encryptedOrgs, options);
       } catch (error) {
         this.logger.warn('Failed to decrypt organizations, returning as-is', error.message);
         return encryptedOrgs;
@@ -287,6 +289,7 @@ class SitecoreApiClient {
           type: org.type,
           region: org.defaultDeploymentRegion,
           accountId: org.accountId,
+          createdBy: org.createdBy,
           mfaRequired: org.mfa?.required || false,
           url: `${this.baseUrls.portal}/?organization=${org.id}`,
           lastUpdated: new Date().toISOString()
@@ -321,6 +324,11 @@ class SitecoreApiClient {
     const nodes = responseData.data.viewer.organization.menu.nodes;
     const productGroups = {};
 
+    // User-defined environment rules take precedence over the built-in ones
+    const environmentRules = typeof preferencesManager !== 'undefined'
+      ? EnvironmentClassifier.compileRules(await preferencesManager.get('environmentRules'))
+      : [];
+
     for (const node of nodes) {
       // Skip if not for current organization
       if (currentOrgId && node.organizationId !== currentOrgId) {
@@ -329,11 +337,17 @@ class SitecoreApiClient {
 
       if (node.actions && node.actions.length > 0) {
         const mainAction = node.actions.find(action => action.isPrimary) || node.actions[0];
-        const productName = node.displayName || mainAction.displayName;
+
+        // The product's adapter may rename, re-icon, classify and add links to its tenants
+        const adapter = typeof productAdapterRegistry !== 'undefined'
+          ? productAdapterRegistry.getForTenant(node)
+          : new GenericProductAdapter();
+        const productName = adapter.getProductName(node.displayName || mainAction.displayName);
 
         if (!productGroups[productName]) {
           productGroups[productName] = {
             name: productName,
+            iconSrc: adapter.getIconSrc(mainAction.icon?.src || ''),
             tenants: []
           };
         }
@@ -348,8 +362,10 @@ class SitecoreApiClient {
                 displayName: action.displayName,
                 url: action.link.to,
                 organizationId: node.organizationId,
-                productGroup: productName
+                productGroup: productName,
+                productCode: node.productCode
               };
+              adapter.prepareTenant(tenantData, environmentRules);
 
               const sanitizedTenant = SecurityUtils.validateTenantData(tenantData);
               productGroups[productName].tenants.push(sanitizedTenant);
@@ -561,6 +577,86 @@ class DomUtils {
  * Data Processing Utilities
  */
 class DataProcessor {
+  /**
+   * Organization fields set by the user that must survive re-captures
+   */
+  static USER_ORGANIZATION_FIELDS = ['customName', 'pinnedAt', 'confirmProduction', 'tabGroupColor'];
+
+  /**
+   * Tenant fields set by the user that must survive re-captures
+   */
+  static USER_TENANT_FIELDS = ['customName', 'pinnedAt', 'pinnedActions', 'bookmarks'];
+
+  /**
+   * Product group fields set by the user that must survive re-captures
+   */
+  static USER_GROUP_FIELDS = ['projectSettings'];
+
+  /**
+   * Category of the pages a user saved on a tenant (shown next to its quick actions)
+   */
+  static BOOKMARK_CATEGORY = 'Bookmarks';
+
+  /**
+   * Most bookmarks kept per tenant
+   */
+  static MAX_TENANT_BOOKMARKS = 50;
+
+  /**
+   * Explanations for tenant states other than Active, keyed by lowercase state
+   */
+  static TENANT_STATE_DESCRIPTIONS = {
+    suspended: 'The tenant is suspended; its apps will not load until it is resumed',
+    provisioning: 'The tenant is still being set up and may not open yet',
+    pending: 'The tenant is still being set up and may not open yet',
+    deprovisioning: 'The tenant is being decommissioned',
+    decommissioning: 'The tenant is being decommissioned',
+    deleting: 'The tenant is being deleted',
+    deleted: 'The tenant has been deleted',
+    failed: 'Setting up the tenant failed',
+    disabled: 'The tenant is disabled'
+  };
+
+  /**
+   * Fields of the popup's tenant details drawer, in display order. Each reads a tenant
+   * property, a label or an annotation; otherLabels / otherAnnotations list the remaining keys.
+   */
+  static TENANT_DETAIL_FIELDS = [
+    { key: 'state', label: 'State', property: 'state' },
+    { key: 'systemId', label: 'System ID', property: 'systemId' },
+    { key: 'tenantId', label: 'Tenant ID', property: 'id' },
+    { key: 'tenantName', label: 'Tenant name', property: 'name' },
+    { key: 'productCode', label: 'Product code', labelKey: 'ProductCode' },
+    { key: 'regionCode', label: 'Region', labelKey: 'RegionCode' },
+    { key: 'subscriptionId', label: 'Subscription ID', labelKey: 'SubscriptionID' },
+    { key: 'cloudRegion', label: 'Cloud region', annotationKey: 'TenantClaims.region' },
+    { key: 'stage', label: 'Stage', annotationKey: 'TenantClaims.stage' },
+    { key: 'domainId', label: 'Domain ID', annotationKey: 'TenantClaims.domainId' },
+    { key: 'otherLabels', label: 'Other labels', otherOf: 'labels' },
+    { key: 'otherAnnotations', label: 'Other annotations', otherOf: 'annotations' }
+  ];
+
+  /**
+   * Columns of the dashboard table in display order; `date` columns sort newest first and export
+   * as ISO timestamps, and `shownByDefault` ones make up the default column choice.
+   * Columns with a `detailField` follow the tenant details choice on the Settings page: when that
+   * field is hidden (e.g. subscription IDs) the column is not shown, offered, searched or exported.
+   */
+  static DASHBOARD_COLUMNS = [
+    { key: 'organization', label: 'Organization', shownByDefault: true },
+    { key: 'product', label: 'Product', shownByDefault: true },
+    { key: 'displayName', label: 'Display name', shownByDefault: true },
+    { key: 'customName', label: 'Custom name', shownByDefault: true },
+    { key: 'tenantName', label: 'Tenant name', detailField: 'tenantName' },
+    { key: 'tenantId', label: 'Tenant ID', detailField: 'tenantId' },
+    { key: 'environment', label: 'Environment', shownByDefault: true },
+    { key: 'region', label: 'Region', shownByDefault: true },
+    { key: 'state', label: 'State', detailField: 'state', shownByDefault: true },
+    { key: 'subscriptionId', label: 'Subscription ID', detailField: 'subscriptionId', shownByDefault: true },
+    { key: 'lastCaptured', label: 'Last captured', date: true, shownByDefault: true },
+    { key: 'lastOpened', label: 'Last opened', date: true, shownByDefault: true }
+  ];
+
   /**
    * Merge and deduplicate organizations
    * @param {Array} existing - Existing organizations
@@ -575,9 +671,14 @@ class DataProcessor {
       
       if (existingIndex >= 0) {
         // Update existing with new data, preserve custom fields
+        const preserved = {};
+        this.USER_ORGANIZATION_FIELDS.forEach(field => {
+          preserved[field] = merged[existingIndex][field];
+        });
+
         merged[existingIndex] = {
           ...newOrg,
-          customName: merged[existingIndex].customName,
+          ...preserved,
           productGroups: merged[existingIndex].productGroups || [],
           lastSubsiteUpdate: merged[existingIndex].lastSubsiteUpdate
         };
@@ -593,35 +694,736 @@ class DataProcessor {
     return merged;
   }
 
+  /**
+   * Merge freshly captured product groups with the stored ones, carrying over
+   * user-set tenant fields (custom names, pins) by tenant ID and user-set group
+   * fields (project names and pins) by product name
+   * @param {Array} existingGroups - Stored product groups
+   * @param {Array} newGroups - Newly captured product groups
+   * @returns {Array} New product groups with user fields preserved
+   */
+  static mergeProductGroups(existingGroups, newGroups) {
+    const previousTenants = new Map();
+    (existingGroups || []).forEach(group => {
+      (group.tenants || []).forEach(tenant => previousTenants.set(tenant.id, tenant));
+    });
+
+    return newGroups.map(group => ({
+      ...group,
+      ...this.getUserGroupFields(existingGroups, group.productName),
+      tenants: (group.tenants || []).map(tenant => {
+        const previous = previousTenants.get(tenant.id);
+        if (!previous) return tenant;
+
+        const merged = { ...tenant };
+        this.USER_TENANT_FIELDS.forEach(field => {
+          if (previous[field] !== undefined) {
+            merged[field] = previous[field];
+          }
+        });
+        return merged;
+      })
+    }));
+  }
+
+  /**
+   * Get the user-set fields of the stored product group with the given name
+   * @param {Array} existingGroups - Stored product groups
+   * @param {string} productName - Product name of the newly captured group
+   * @returns {Object} User fields to carry over (empty when there is no such group)
+   */
+  static getUserGroupFields(existingGroups, productName) {
+    const previous = (existingGroups || []).find(group => group.productName === productName);
+    const fields = {};
+    if (previous) {
+      this.USER_GROUP_FIELDS.forEach(field => {
+        if (previous[field] !== undefined) {
+          fields[field] = previous[field];
+        }
+      });
+    }
+    return fields;
+  }
+
+  /**
+   * Whether a tenant is active (tenants captured without a state count as active)
+   * @param {Object} tenant - Stored tenant
+   * @returns {boolean} Whether the tenant is usable
+   */
+  static isTenantActive(tenant) {
+    return !tenant.state || SecurityUtils.decodeHtmlEntities(tenant.state).trim().toLowerCase() === 'active';
+  }
+
+  /**
+   * Describe a tenant's state when it is not active
+   * @param {Object} tenant - Stored tenant
+   * @returns {Object|null} { label, description }, or null for active tenants
+   */
+  static getTenantStateInfo(tenant) {
+    if (this.isTenantActive(tenant)) return null;
+
+    const label = SecurityUtils.decodeHtmlEntities(tenant.state).trim();
+    return {
+      label,
+      description: this.TENANT_STATE_DESCRIPTIONS[label.toLowerCase()] || `The portal reports this tenant as "${label}", not Active`
+    };
+  }
+
+  /**
+   * Copy organizations without their inactive tenants, dropping product groups left empty
+   * @param {Array} organizations - Organizations
+   * @returns {Array} Shallow copies (organizations without inactive tenants are returned as-is)
+   */
+  static withoutInactiveTenants(organizations) {
+    return organizations.map(org => {
+      const groups = org.productGroups || [];
+      if (groups.every(group => (group.tenants || []).every(tenant => this.isTenantActive(tenant)))) {
+        return org;
+      }
+
+      return {
+        ...org,
+        productGroups: groups
+          .map(group => ({ ...group, tenants: (group.tenants || []).filter(tenant => this.isTenantActive(tenant)) }))
+          .filter(group => group.tenants.length > 0)
+      };
+    });
+  }
+
+  /**
+   * List the details of a tenant for the details drawer
+   * @param {Object} tenant - Stored tenant
+   * @param {Array<string>} visibleFields - Field keys to include (see TENANT_DETAIL_FIELDS)
+   * @returns {Array} Rows { field, label, value } with decoded values; fields without a value are left out
+   */
+  static getTenantDetails(tenant, visibleFields) {
+    const labels = tenant.labels || {};
+    const annotations = tenant.annotations || {};
+    const known = { labels: new Set(), annotations: new Set() };
+    this.TENANT_DETAIL_FIELDS.forEach(field => {
+      if (field.labelKey) known.labels.add(field.labelKey);
+      if (field.annotationKey) known.annotations.add(field.annotationKey);
+    });
+
+    const rows = [];
+    const addRow = (field, label, value) => {
+      if (value !== undefined && value !== null && value !== '') {
+        rows.push({ field, label, value: SecurityUtils.decodeHtmlEntities(String(value)) });
+      }
+    };
+
+    this.TENANT_DETAIL_FIELDS
+      .filter(field => visibleFields.includes(field.key))
+      .forEach(field => {
+        if (field.property) {
+          addRow(field.key, field.label, tenant[field.property]);
+        } else if (field.labelKey) {
+          addRow(field.key, field.label, labels[field.labelKey]);
+        } else if (field.annotationKey) {
+          addRow(field.key, field.label, annotations[field.annotationKey]);
+        } else {
+          const map = field.otherOf === 'labels' ? labels : annotations;
+          Object.keys(map)
+            .filter(key => !known[field.otherOf].has(key))
+            .sort()
+            .forEach(key => addRow(field.key, key, map[key]));
+        }
+      });
+
+    return rows;
+  }
+
+  /**
+   * Collect pinned organizations, tenants and actions in the order they were pinned
+   * @param {Array} organizations - Organizations to scan
+   * @returns {Array} Pinned items with type ('org', 'tenant' or 'action'), url and context objects
+   */
+  static getPinnedItems(organizations) {
+    const items = [];
+
+    for (const org of organizations) {
+      if (org.pinnedAt) {
+        items.push({ type: 'org', org, url: org.url, pinnedAt: org.pinnedAt });
+      }
+
+      for (const group of org.productGroups || []) {
+        for (const tenant of group.tenants || []) {
+          if (tenant.pinnedAt) {
+            items.push({ type: 'tenant', org, group, tenant, url: tenant.url, pinnedAt: tenant.pinnedAt });
+          }
+
+          for (const [actionName, pinnedAt] of Object.entries(tenant.pinnedActions || {})) {
+            const action = this.getTenantActions(tenant).find(a => a.name === actionName);
+            if (action && action.url) {
+              items.push({ type: 'action', org, group, tenant, action, url: action.url, pinnedAt });
+            }
+          }
+        }
+      }
+    }
+
+    return items.sort((a, b) => new Date(a.pinnedAt) - new Date(b.pinnedAt));
+  }
+
+  /**
+   * Resolve an org / tenant / action reference against stored organizations
+   * @param {Array} organizations - Organizations to search
+   * @param {Object} target - Reference with orgId, optional tenantId and actionName
+   * @returns {Object|null} Item with type, url and context objects, or null if it no longer exists
+   */
+  static resolveLaunchItem(organizations, { orgId, tenantId = null, actionName = null }) {
+    const org = organizations.find(o => o.id === orgId);
+    if (!org) return null;
+
+    if (!tenantId) {
+      return { type: 'org', org, url: org.url };
+    }
+
+    for (const group of org.productGroups || []) {
+      const tenant = (group.tenants || []).find(t => t.id === tenantId);
+      if (!tenant) continue;
+
+      if (!actionName) {
+        return { type: 'tenant', org, group, tenant, url: tenant.url };
+      }
+
+      const action = this.getTenantActions(tenant).find(a => a.name === actionName);
+      return action && action.url ? { type: 'action', org, group, tenant, action, url: action.url } : null;
+    }
+
+    return null;
+  }
+
+  /**
+   * Where Enter opens an item in the popup and the quick switcher: Shift keeps its
+   * long-standing meaning (background tab) and Ctrl/Cmd does the same
+   * @param {KeyboardEvent} e - Keydown event
+   * @param {string} fallback - Disposition without modifiers
+   * @returns {string} 'background' or the fallback
+   */
+  static getKeyDisposition(e, fallback) {
+    return e && (e.shiftKey || e.ctrlKey || e.metaKey) ? 'background' : fallback;
+  }
+
+  /**
+   * Whether opening a launch item needs confirming: a production tenant (or one of its actions)
+   * of an organization with production confirmation turned on
+   * @param {Object} item - Launch item (see resolveLaunchItem)
+   * @returns {boolean} Whether to ask before opening
+   */
+  static requiresProductionConfirmation(item) {
+    return !!item && !!item.tenant && !!item.org.confirmProduction
+      && EnvironmentClassifier.getEnvironment(item.tenant) === 'prod';
+  }
+
+  /**
+   * Captured actions followed by the user's bookmarks; both are opened, pinned and recorded by name
+   * @param {Object} tenant - Stored tenant
+   * @returns {Array} Actions and bookmarks
+   */
+  static getTenantActions(tenant) {
+    return [...(tenant.actions || []), ...(tenant.bookmarks || [])];
+  }
+
+  /**
+   * Save a page as a bookmark on a tenant, named after the page title.
+   * Titles are reduced to the characters names may contain and made unique on the tenant.
+   * @param {Object} tenant - Stored tenant (updated in place)
+   * @param {Object} page - { title, url }
+   * @returns {Object} { bookmark, added } where added is false when the page was already saved
+   */
+  static addTenantBookmark(tenant, { title, url }) {
+    const bookmarks = tenant.bookmarks || [];
+    const existing = bookmarks.find(bookmark => bookmark.url === url);
+    if (existing) {
+      return { bookmark: existing, added: false };
+    }
+    if (bookmarks.length >= this.MAX_TENANT_BOOKMARKS) {
+      throw new Error(`At most ${this.MAX_TENANT_BOOKMARKS} bookmarks per tenant`);
+    }
+
+    const baseName = String(title || '')
+      .replace(/[^a-zA-Z0-9\s\-_.,()&'/]+/g, ' ')
+      .replace(/\s+/g, ' ')
+      .trim()
+      .substring(0, SecurityUtils.MAX_LENGTHS.ACTION_NAME - 5)
+      .trim() || 'Bookmark';
+
+    const takenNames = new Set(this.getTenantActions(tenant).map(action => action.name));
+    let bookmark = SecurityUtils.validateActionData({ name: baseName, url, category: this.BOOKMARK_CATEGORY });
+    for (let suffix = 2; takenNames.has(bookmark.name); suffix++) {
+      bookmark = SecurityUtils.validateActionData({ name: `${baseName} (${suffix})`, url, category: this.BOOKMARK_CATEGORY });
+    }
+    if (!bookmark.url) {
+      throw new Error('This page address cannot be saved');
+    }
+
+    tenant.bookmarks = [...bookmarks, bookmark];
+    return { bookmark, added: true };
+  }
+
+  /**
+   * Remove a bookmark (and its pin) from a tenant
+   * @param {Object} tenant - Stored tenant (updated in place)
+   * @param {string} name - Stored bookmark name
+   * @returns {boolean} Whether a bookmark was removed
+   */
+  static removeTenantBookmark(tenant, name) {
+    const bookmarks = tenant.bookmarks || [];
+    if (!bookmarks.some(bookmark => bookmark.name === name)) return false;
+
+    tenant.bookmarks = bookmarks.filter(bookmark => bookmark.name !== name);
+    if (tenant.pinnedActions) {
+      delete tenant.pinnedActions[name];
+    }
+    return true;
+  }
+
+  /**
+   * Filter tokens supported by the search box
+   * fields: tenant fields (or label keys) the token reads, in priority order
+   * match: 'contains' or 'prefix' comparison against the field value
+   * firstOnly: only compare against the first field that has a value
+   */
+  static SEARCH_FILTERS = {
+    product: { fields: ['productName', 'productCode'], match: 'contains', firstOnly: false },
+    env: { fields: ['environment', 'CustomerEnvironmentType', 'Environment'], match: 'prefix', firstOnly: true },
+    region: { fields: ['RegionCode'], match: 'prefix', firstOnly: false }
+  };
+
+  /**
+   * Convert a GraphQL key/value pair list into a plain object
+   * @param {Array} pairs - Array of { key, value } objects
+   * @returns {Object} Map of key to value
+   */
+  static toKeyValueMap(pairs) {
+    if (!Array.isArray(pairs)) return {};
+
+    return pairs.reduce((map, pair) => {
+      if (pair && typeof pair.key === 'string' && pair.value !== undefined && pair.value !== null) {
+        map[pair.key] = String(pair.value);
+      }
+      return map;
+    }, {});
+  }
+
+  /**
+   * Parse a search query into free text terms and filter tokens
+   * Supports tokens such as product:"XM Cloud", env:prod and region:aue
+   * @param {string} query - Raw search query
+   * @returns {Object} Parsed query with terms array and filters map
+   */
+  static parseSearchQuery(query) {
+    const parsed = { terms: [], filters: {} };
+    if (!query || typeof query !== 'string') return parsed;
+
+    const tokenPattern = /(\w+):"([^"]*)"|(\w+):(\S+)|"([^"]*)"|(\S+)/g;
+    let match;
+
+    while ((match = tokenPattern.exec(query)) !== null) {
+      const key = (match[1] || match[3] || '').toLowerCase();
+      const value = match[2] !== undefined ? match[2] : match[4];
+
+      if (key && this.SEARCH_FILTERS[key]) {
+        if (value && value.trim()) {
+          parsed.filters[key] = parsed.filters[key] || [];
+          parsed.filters[key].push(value.trim().toLowerCase());
+        }
+        continue;
+      }
+
+      const term = (match[5] !== undefined ? match[5] : match[0]).trim().toLowerCase();
+      if (term) {
+        parsed.terms.push(term);
+      }
+    }
+
+    return parsed;
+  }
+
+  /**
+   * Fuzzy match a term against text
+   * Substring matches score highest; otherwise the term's characters must appear in order
+   * within a compact window of the text
+   * @param {string} text - Text to search in
+   * @param {string} term - Lowercase search term
+   * @param {Object} options - Match options
+   * @param {boolean} options.exact - Only allow substring matches (used for IDs)
+   * @returns {Object|null} Match with score and matched character indices, or null
+   */
+  static fuzzyMatch(text, term, options = {}) {
+    if (!text || !term) return null;
+
+    const haystack = SecurityUtils.decodeHtmlEntities(text).toLowerCase();
+    const start = haystack.indexOf(term);
+
+    if (start >= 0) {
+      const indices = [];
+      for (let i = start; i < start + term.length; i++) {
+        indices.push(i);
+      }
+      // Prefer matches at the start of the text or of a word
+      const atWordStart = start === 0 || /[\s\-_/.(]/.test(haystack.charAt(start - 1));
+      return { score: 100 + (atWordStart ? 20 : 0) - start / 100, indices };
+    }
+
+    if (options.exact || term.length < 3) return null;
+
+    const indices = [];
+    let position = 0;
+    for (const char of term) {
+      const found = haystack.indexOf(char, position);
+      if (found < 0) return null;
+      indices.push(found);
+      position = found + 1;
+    }
+
+    // Reject scattered matches that would match almost anything
+    const span = indices[indices.length - 1] - indices[0] + 1;
+    if (span > term.length * 2) return null;
+
+    return { score: 50 - (span - term.length), indices };
+  }
+
+  /**
+   * Find the best fuzzy match for a term across several fields
+   * @param {Array} fields - Array of [text, options] tuples
+   * @param {string} term - Lowercase search term
+   * @returns {number|null} Best score or null when no field matches
+   */
+  static bestFieldScore(fields, term) {
+    let best = null;
+    for (const [text, options] of fields) {
+      const match = this.fuzzyMatch(text, term, options);
+      if (match && (best === null || match.score > best)) {
+        best = match.score;
+      }
+    }
+    return best;
+  }
+
+  /**
+   * Check whether a tenant satisfies the filter tokens of a parsed query
+   * @param {Object} tenant - Tenant object
+   * @param {Object} group - Product group the tenant belongs to
+   * @param {Object} filters - Parsed filters map
+   * @returns {boolean} True if every filter matches
+   */
+  static tenantMatchesFilters(tenant, group, filters) {
+    return Object.entries(filters).every(([key, values]) => {
+      const definition = this.SEARCH_FILTERS[key];
+      let candidates = definition.fields.map(field => {
+        if (field === 'productName') return group.productName;
+        if (field === 'productCode') return tenant.productCode;
+        if (field === 'environment') return this.getTenantEnvironment(tenant);
+        return tenant.labels ? tenant.labels[field] : null;
+      })
+        .filter(Boolean)
+        .map(value => SecurityUtils.decodeHtmlEntities(value).toLowerCase());
+
+      if (definition.firstOnly) {
+        candidates = candidates.slice(0, 1);
+      }
+
+      return values.some(value => candidates.some(candidate =>
+        definition.match === 'prefix' ? candidate.startsWith(value) : candidate.includes(value)
+      ));
+    });
+  }
+
+  /**
+   * Search organizations, product groups, tenants and actions
+   * @param {Array} organizations - Organizations to search
+   * @param {string} query - Raw search query
+   * @returns {Array|null} Ranked results, or null when the query is empty. Each result has
+   *   the matching org, whether it should be expanded, the matching product groups and tenants
+   *   (or legacy subsites), and the lowercase terms to highlight.
+   */
+  static searchOrganizations(organizations, query) {
+    const { terms, filters } = this.parseSearchQuery(query);
+    const hasFilters = Object.keys(filters).length > 0;
+
+    if (terms.length === 0 && !hasFilters) return null;
+
+    const results = [];
+
+    for (const org of organizations) {
+      const orgFields = [
+        [org.customName],
+        [org.name],
+        [org.originalName],
+        [org.id, { exact: true }]
+      ];
+      const orgScores = terms.map(term => this.bestFieldScore(orgFields, term));
+      const orgMatchesAll = terms.length > 0 && orgScores.every(score => score !== null);
+
+      const groups = [];
+      let bestTenantScore = null;
+
+      for (const group of org.productGroups || []) {
+        const groupScores = terms.map(term => this.bestFieldScore([[group.productName]], term));
+        const tenants = [];
+
+        for (const tenant of group.tenants || []) {
+          if (hasFilters && !this.tenantMatchesFilters(tenant, group, filters)) {
+            continue;
+          }
+
+          const tenantFields = [
+            [tenant.customName],
+            [tenant.displayName],
+            [tenant.name],
+            [tenant.id, { exact: true }],
+            ...(tenant.actions || []).map(action => [action.name])
+          ];
+
+          // Every term must match somewhere along the org > product > tenant path
+          let total = 0;
+          let matchesAll = true;
+          terms.forEach((term, index) => {
+            const score = [orgScores[index], groupScores[index], this.bestFieldScore(tenantFields, term)]
+              .filter(value => value !== null)
+              .reduce((max, value) => Math.max(max, value), -Infinity);
+            if (score === -Infinity) {
+              matchesAll = false;
+            } else {
+              total += score;
+            }
+          });
+
+          if (matchesAll) {
+            tenants.push(tenant);
+            bestTenantScore = bestTenantScore === null ? total : Math.max(bestTenantScore, total);
+          }
+        }
+
+        if (tenants.length > 0) {
+          groups.push({ group, tenants, expanded: !orgMatchesAll || hasFilters });
+        }
+      }
+
+      // Legacy organizations list subsites instead of product groups; they carry no
+      // metadata, so filter tokens never match them
+      const subsites = [];
+      for (const subsite of hasFilters ? [] : org.subsites || []) {
+        const subsiteFields = [[subsite.customName], [subsite.displayName], [subsite.name]];
+        const scores = terms.map((term, index) => [orgScores[index], this.bestFieldScore(subsiteFields, term)]
+          .filter(value => value !== null)
+          .reduce((max, value) => Math.max(max, value), -Infinity));
+
+        if (scores.every(score => score !== -Infinity)) {
+          const total = scores.reduce((sum, score) => sum + score, 0);
+          subsites.push(subsite);
+          bestTenantScore = bestTenantScore === null ? total : Math.max(bestTenantScore, total);
+        }
+      }
+
+      if (orgMatchesAll && !hasFilters) {
+        // Org itself matched - keep all of its tenants but leave it collapsed
+        results.push({
+          org,
+          expanded: false,
+          groups: (org.productGroups || []).map(group => ({ group, tenants: group.tenants || [], expanded: false })),
+          subsites: org.subsites || [],
+          score: orgScores.reduce((sum, score) => sum + score, 0),
+          terms
+        });
+      } else if (groups.length > 0 || subsites.length > 0) {
+        results.push({ org, expanded: true, groups, subsites, score: bestTenantScore || 0, terms });
+      }
+    }
+
+    return results.sort((a, b) => b.score - a.score);
+  }
+
   /**
    * Filter organizations by search term
    * @param {Array} organizations - Organizations to filter
-   * @param {string} searchTerm - Search term
+   * @param {string} searchTerm - Search term (supports the same tokens as searchOrganizations)
    * @returns {Array} Filtered organizations
    */
   static filterOrganizations(organizations, searchTerm) {
-    if (!searchTerm) return organizations;
-    
-    const term = searchTerm.toLowerCase();
-    return organizations.filter(org => 
-      (org.name && org.name.toLowerCase().includes(term)) ||
-      (org.customName && org.customName.toLowerCase().includes(term)) ||
-      (org.originalName && org.originalName.toLowerCase().includes(term))
-    );
+    const results = this.searchOrganizations(organizations, searchTerm);
+    if (results === null) return organizations;
+
+    return results.map(result => result.org);
+  }
+
+  /**
+   * Natural direction for each sort criteria offered in the UI
+   */
+  static SORT_DIRECTIONS = {
+    name: 'asc',
+    frecency: 'desc',
+    tenantCount: 'desc',
+    lastCaptured: 'desc'
+  };
+
+  /**
+   * Count the tenants (or legacy subsites) captured for an organization
+   * @param {Object} org - Organization
+   * @returns {number} Tenant count
+   */
+  static countTenants(org) {
+    if (org.productGroups && org.productGroups.length > 0) {
+      return org.productGroups.reduce((count, group) => count + (group.tenants || []).length, 0);
+    }
+    return (org.subsites || []).length;
+  }
+
+  /**
+   * Labels for the org types returned by the organizations API, in display order
+   */
+  static ORG_TYPE_LABELS = {
+    partner: 'Partners',
+    customer: 'Customers'
+  };
+
+  /**
+   * Environments in display order (anything else sorts after these)
+   */
+  static ENVIRONMENT_ORDER = ['prod', 'uat', 'qa', 'dev', 'nonprod'];
+
+  /**
+   * Get a tenant's normalized environment (see EnvironmentClassifier)
+   * @param {Object} tenant - Tenant
+   * @returns {string} Environment or empty string if unknown
+   */
+  static getTenantEnvironment(tenant) {
+    if (typeof EnvironmentClassifier !== 'undefined') {
+      return EnvironmentClassifier.getEnvironment(tenant) || '';
+    }
+    const labels = tenant.labels || {};
+    return String(labels.CustomerEnvironmentType || '').toLowerCase();
+  }
+
+  /**
+   * Read a tenant's region from its labels, falling back to the org's default region
+   * @param {Object} tenant - Tenant
+   * @param {Object} org - Organization owning the tenant
+   * @returns {string} Region or empty string if unknown
+   */
+  static getTenantRegion(tenant, org) {
+    return String((tenant.labels && tenant.labels.RegionCode) || org.region || '');
+  }
+
+  /**
+   * Group organizations by org type (partner, customer, ...), keeping their order within each type
+   * @param {Array} organizations - Organizations, already sorted
+   * @returns {Array} [{ key, label, organizations }]
+   */
+  static groupOrganizationsByType(organizations) {
+    const buckets = new Map();
+
+    for (const org of organizations) {
+      const key = String(org.type || '').toLowerCase() || 'other';
+      if (!buckets.has(key)) {
+        buckets.set(key, []);
+      }
+      buckets.get(key).push(org);
+    }
+
+    const knownTypes = Object.keys(DataProcessor.ORG_TYPE_LABELS);
+    const rank = key => {
+      const index = knownTypes.indexOf(key);
+      return index === -1 ? (key === 'other' ? knownTypes.length + 1 : knownTypes.length) : index;
+    };
+
+    return Array.from(buckets.entries())
+      .map(([key, orgs]) => ({
+        key,
+        label: DataProcessor.ORG_TYPE_LABELS[key] || (key === 'other' ? 'Other' : key.charAt(0).toUpperCase() + key.slice(1)),
+        organizations: orgs
+      }))
+      .sort((a, b) => rank(a.key) - rank(b.key) || a.label.localeCompare(b.label));
+  }
+
+  /**
+   * Regroup tenants across organizations by product, environment or region
+   * @param {Array} sections - [{ org, group, tenants }] in display order (one per org product group)
+   * @param {string} groupBy - 'product', 'environment' or 'region'
+   * @returns {Array} [{ key, label, iconSrc, tenantCount, sections: [{ org, group, tenants }] }]
+   */
+  static groupTenantsAcrossOrganizations(sections, groupBy) {
+    const buckets = new Map();
+
+    const getKey = (tenant, org, group) => {
+      switch (groupBy) {
+        case 'product':
+          return group.productName || 'Unknown';
+        case 'environment':
+          return DataProcessor.getTenantEnvironment(tenant);
+        case 'region':
+          return DataProcessor.getTenantRegion(tenant, org);
+        default:
+          return '';
+      }
+    };
+
+    for (const { org, group, tenants } of sections) {
+      for (const tenant of tenants || []) {
+        const key = getKey(tenant, org, group);
+        if (!buckets.has(key)) {
+          buckets.set(key, { key, iconSrc: groupBy === 'product' ? group.iconSrc : '', tenantCount: 0, sections: new Map() });
+        }
+
+        const bucket = buckets.get(key);
+        const sectionKey = `${org.id}|${group.productName}`;
+        if (!bucket.sections.has(sectionKey)) {
+          bucket.sections.set(sectionKey, { org, group, tenants: [] });
+        }
+        bucket.sections.get(sectionKey).tenants.push(tenant);
+        bucket.tenantCount++;
+      }
+    }
+
+    const unknownLabel = { product: 'Unknown', environment: 'Unclassified', region: 'Unknown region' }[groupBy];
+    const rank = key => {
+      if (!key) return Infinity;
+      if (groupBy !== 'environment') return 0;
+      const index = DataProcessor.ENVIRONMENT_ORDER.indexOf(key);
+      return index === -1 ? DataProcessor.ENVIRONMENT_ORDER.length : index;
+    };
+
+    const getLabel = key => groupBy === 'environment' && typeof EnvironmentClassifier !== 'undefined'
+      ? EnvironmentClassifier.getLabel(key)
+      : key;
+
+    return Array.from(buckets.values())
+      .map(bucket => ({
+        ...bucket,
+        label: getLabel(bucket.key) || unknownLabel,
+        sections: Array.from(bucket.sections.values())
+      }))
+      .sort((a, b) => rank(a.key) - rank(b.key) || a.label.localeCompare(b.label));
   }
 
   /**
    * Sort organizations by various criteria
    * @param {Array} organizations - Organizations to sort
-   * @param {string} sortBy - Sort criteria (name, lastUpdated, etc.)
+   * @param {string} sortBy - Sort criteria (name, lastUpdated, lastCaptured, tenantCount, region, frecency)
    * @param {string} direction - Sort direction (asc, desc)
+   * @param {Object} options - Additional sort data
+   * @param {Object} options.frecencyScores - Frecency score per organization ID (for 'frecency')
    * @returns {Array} Sorted organizations
    */
-  static sortOrganizations(organizations, sortBy = 'name', direction = 'asc') {
+  static sortOrganizations(organizations, sortBy = 'name', direction = 'asc', options = {}) {
+    const { frecencyScores = {} } = options;
+
     return [...organizations].sort((a, b) => {
       let valueA, valueB;
       
       switch (sortBy) {
+        case 'frecency': {
+          // Unused organizations fall back to alphabetical order
+          const scoreDiff = (frecencyScores[a.id] || 0) - (frecencyScores[b.id] || 0);
+          if (scoreDiff !== 0) {
+            return direction === 'desc' ? -scoreDiff : scoreDiff;
+          }
+          valueA = (a.customName || a.name || '').toLowerCase();
+          valueB = (b.customName || b.name || '').toLowerCase();
+          return valueA.localeCompare(valueB);
+        }
         case 'name':
           valueA = (a.customName || a.name || '').toLowerCase();
           valueB = (b.customName || b.name || '').toLowerCase();
@@ -630,6 +1432,15 @@ class DataProcessor {
           valueA = new Date(a.lastUpdated || 0);
           valueB = new Date(b.lastUpdated || 0);
           break;
+        case 'lastCaptured':
+          // Tenant capture time, falling back to when the org itself was captured
+          valueA = new Date(a.lastSubsiteUpdate || a.lastUpdated || 0);
+          valueB = new Date(b.lastSubsiteUpdate || b.lastUpdated || 0);
+          break;
+        case 'tenantCount':
+          valueA = DataProcessor.countTenants(a);
+          valueB = DataProcessor.countTenants(b);
+          break;
         case 'region':
           valueA = a.region || '';
           valueB = b.region || '';
@@ -4,6 +4,12 @@
  */
 
 class StorageSecurityManager {
+  /**
+   * Sensitive fields views can leave encrypted when loading organizations, decrypting one
+   * only when the user asks to see it (see decryptOrganization's deferredFields)
+   */
+  static ON_DEMAND_FIELDS = ['accountId', 'createdBy'];
+
   constructor() {
     // Check if Logger is available
     if (typeof Logger !== 'undefined') {
@@ -162,6 +168,15 @@ class StorageSecurityManager {
     }
   }
 
+  /**
+   * Whether a stored value is an encrypted data object (see encryptData)
+   * @param {*} value - Stored value
+   * @returns {boolean} Whether the value is encrypted
+   */
+  isEncryptedValue(value) {
+    return !!value && typeof value === 'object' && value.encrypted === true;
+  }
+
   /**
    * Decrypt sensitive data
    * @param {Object|string} encryptedObj - Encrypted data object or plain string
@@ -235,10 +250,11 @@ class StorageSecurityManager {
     const encrypted = { ...organization };
     
     // Fields considered sensitive that should be encrypted
-    const sensitiveFields = ['accountId', 'id'];
+    const sensitiveFields = ['accountId', 'createdBy', 'id'];
     
     for (const field of sensitiveFields) {
-      if (encrypted[field]) {
+      // Fields a view left encrypted (deferredFields) are saved as they are
+      if (encrypted[field] && !this.isEncryptedValue(encrypted[field])) {
         encrypted[field] = await this.encryptData(encrypted[field]);
       }
     }
@@ -264,9 +280,11 @@ class StorageSecurityManager {
   /**
    * Decrypt sensitive fields in organization data
    * @param {Object} organization - Organization with encrypted fields
+   * @param {Object} options - Options
+   * @param {Array<string>} options.deferredFields - Sensitive fields to leave encrypted (see ON_DEMAND_FIELDS)
    * @returns {Object} Organization with decrypted sensitive fields
    */
-  async decryptOrganization(organization) {
+  async decryptOrganization(organization, { deferredFields = [] } = {}) {
     if (!organization) return organization;
     
     // If no security metadata or encryption is disabled, return as-is
@@ -283,7 +301,7 @@ class StorageSecurityManager {
     const decrypted = { ...organization };
     
     // Decrypt sensitive fields
-    const sensitiveFields = ['accountId', 'id'];
+    const sensitiveFields = ['accountId', 'createdBy', 'id'].filter(field => !deferredFields.includes(field));
     for (const field of sensitiveFields) {
       if (decrypted[field] && typeof decrypted[field] === 'object' && decrypted[field].encrypted) {
         decrypted[field] = await this.decryptData(decrypted[field]);
@@ -348,16 +366,17 @@ class StorageSecurityManager {
   /**
    * Process organizations array for decryption
    * @param {Array} organizations - Array of encrypted organizations
+   * @param {Object} options - Options passed to decryptOrganization (deferredFields)
    * @returns {Array} Array with decrypted, non-expired organizations
    */
-  async decryptOrganizations(organizations) {
+  async decryptOrganizations(organizations, options = {}) {
     if (!Array.isArray(organizations)) return organizations;
 
     const decrypted = [];
     let expiredCount = 0;
 
     for (const org of organizations) {
-      const decryptedOrg = await this.decryptOrganization(org);
+      const decryptedOrg = await this.decryptOrganization(org, options);
       if (decryptedOrg !== null) {
         decrypted.push(decryptedOrg);
       } else {
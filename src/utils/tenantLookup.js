@@ -0,0 +1,220 @@
+/**
+ * Tenant Lookup
+ * Identifies which stored tenant a Sitecore product URL belongs to
+ */
+
+class TenantLookup {
+  /**
+   * Host prefix used by XM Cloud CM instances (xmc-<tenantName>.sitecorecloud.io)
+   */
+  static XM_CLOUD_HOST_PATTERN = /^xmc-([a-z0-9-]+)\.sitecorecloud\.io$/i;
+
+  /**
+   * Extract the tenant and organization a product URL refers to
+   * @param {string} url - Page URL
+   * @returns {Object|null} { tenantId, tenantName, organizationId } or null if the URL names no tenant
+   */
+  static parseUrl(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      return null;
+    }
+
+    const params = parsed.searchParams;
+    const hostMatch = parsed.hostname.match(this.XM_CLOUD_HOST_PATTERN);
+
+    const context = {
+      tenantId: params.get('tenantId'),
+      tenantName: params.get('tenantName') || (hostMatch ? hostMatch[1] : null),
+      organizationId: params.get('organization')
+    };
+
+    return context.tenantId || context.tenantName ? context : null;
+  }
+
+  /**
+   * Decode a stored (HTML-entity escaped) value
+   * @param {*} value - Stored value
+   * @returns {string} Decoded string
+   */
+  static decode(value) {
+    return typeof SecurityUtils !== 'undefined'
+      ? SecurityUtils.decodeHtmlEntities(String(value))
+      : String(value);
+  }
+
+  /**
+   * Find the stored tenant matching a parsed URL context
+   * @param {Array} organizations - Stored organizations
+   * @param {Object} context - Result of parseUrl
+   * @returns {Object|null} { org, group, tenant } or null if not found
+   */
+  static findTenant(organizations, context) {
+    if (!context) return null;
+
+    const tenantName = context.tenantName ? context.tenantName.toLowerCase() : null;
+
+    // Search the named organization first, then everything else
+    const ordered = context.organizationId
+      ? [...organizations].sort((a, b) => (b.id === context.organizationId) - (a.id === context.organizationId))
+      : organizations;
+
+    for (const org of ordered) {
+      for (const group of org.productGroups || []) {
+        for (const tenant of group.tenants || []) {
+          if (context.tenantId && tenant.id === context.tenantId) {
+            return { org, group, tenant };
+          }
+          if (tenantName && tenant.name && this.decode(tenant.name).toLowerCase() === tenantName) {
+            return { org, group, tenant };
+          }
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Get all tenants of the matched tenant's product, ordered from production down
+   * @param {Object} match - Result of findTenant
+   * @returns {Array} Tenants, including the matched one
+   */
+  static getEnvironmentTenants(match) {
+    if (!match) return [];
+
+    const order = Object.keys(EnvironmentClassifier.ENVIRONMENTS);
+    const rank = tenant => {
+      const index = order.indexOf(EnvironmentClassifier.getEnvironment(tenant));
+      return index === -1 ? order.length : index;
+    };
+    const label = tenant => this.decode(tenant.customName || tenant.displayName || tenant.name);
+
+    return [...(match.group.tenants || [])]
+      .sort((a, b) => rank(a) - rank(b) || label(a).localeCompare(label(b)));
+  }
+
+  /**
+   * Get the other tenants of the same product, ordered from production down
+   * @param {Object} match - Result of findTenant
+   * @returns {Array} Sibling tenants
+   */
+  static getSiblingTenants(match) {
+    return this.getEnvironmentTenants(match).filter(tenant => tenant.id !== match.tenant.id);
+  }
+
+  /**
+   * Find the next (direction 1) or previous (direction -1) environment the current page
+   * can be switched to, wrapping around the production-down order
+   * @param {string} url - URL of the current page
+   * @param {Object} match - Result of findTenant for the page
+   * @param {number} direction - 1 or -1
+   * @returns {Object|null} { tenant, url } or null when there is nothing to switch to
+   */
+  static getAdjacentEnvironment(url, match, direction) {
+    const tenants = this.getEnvironmentTenants(match);
+    const index = tenants.findIndex(tenant => tenant.id === match.tenant.id);
+    if (index === -1) return null;
+
+    for (let step = 1; step < tenants.length; step++) {
+      const tenant = tenants[((index + direction * step) % tenants.length + tenants.length) % tenants.length];
+      const siblingUrl = this.buildSiblingUrl(url, match.tenant, tenant);
+      if (siblingUrl) {
+        return { tenant, url: siblingUrl };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Get the host a tenant's apps are served from (regional products use different hosts)
+   * @param {Object} tenant - Stored tenant
+   * @returns {string|null} Host name
+   */
+  static getTenantHost(tenant) {
+    const urls = [tenant.url, ...(tenant.actions || []).map(action => action.url)].filter(Boolean);
+    for (const url of urls) {
+      try {
+        return new URL(this.decode(url)).host;
+      } catch (error) {
+        // Try the next URL
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Rewrite a page URL of one tenant into the same page of a sibling tenant.
+   * Tenants of a product share URL shapes, so swapping the tenant ID and name wherever
+   * they appear (query, path, host) and moving to the sibling's host gives the same page.
+   * @param {string} url - Current page URL
+   * @param {Object} fromTenant - Tenant the URL belongs to
+   * @param {Object} toTenant - Sibling tenant
+   * @returns {string|null} Sibling URL, or null if the URL cannot be parsed
+   */
+  static buildSiblingUrl(url, fromTenant, toTenant) {
+    let target;
+    try {
+      target = new URL(url);
+    } catch (error) {
+      return null;
+    }
+
+    const replacements = [
+      [fromTenant.id, toTenant.id],
+      [fromTenant.name && this.decode(fromTenant.name), toTenant.name && this.decode(toTenant.name)]
+    ].filter(([from, to]) => from && to);
+    const swap = value => {
+      const replacement = replacements.find(([from]) => from.toLowerCase() === value.toLowerCase());
+      return replacement ? replacement[1] : value;
+    };
+
+    Array.from(target.searchParams.entries()).forEach(([key, value]) => {
+      target.searchParams.set(key, swap(value));
+    });
+
+    target.pathname = target.pathname
+      .split('/')
+      .map(segment => {
+        let decoded;
+        try {
+          decoded = decodeURIComponent(segment);
+        } catch (error) {
+          return segment;
+        }
+        const swapped = swap(decoded);
+        return swapped === decoded ? segment : encodeURIComponent(swapped);
+      })
+      .join('/');
+
+    // XM Cloud CM hosts embed the tenant name (xmc-<tenantName>.sitecorecloud.io); shared hosts
+    // such as pages.sitecorecloud.io are left alone even if a short tenant name appears in them
+    const fromName = fromTenant.name && this.decode(fromTenant.name).toLowerCase();
+    const toName = toTenant.name && this.decode(toTenant.name).toLowerCase();
+    const hostMatch = target.hostname.match(this.XM_CLOUD_HOST_PATTERN);
+    if (hostMatch && fromName && toName && hostMatch[1].toLowerCase() === fromName) {
+      target.hostname = `xmc-${toName}.sitecorecloud.io`;
+    } else {
+      const fromHost = this.getTenantHost(fromTenant);
+      const toHost = this.getTenantHost(toTenant);
+      if (fromHost && toHost && target.host === fromHost) {
+        target.host = toHost;
+      }
+    }
+
+    return target.toString();
+  }
+}
+
+// Export for module use
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TenantLookup;
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+  window.TenantLookup = TenantLookup;
+}